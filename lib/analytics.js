@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+// ============================================================
+// Conversation analytics — one lifecycle event per stage, appended
+// to a local JSONL file (one JSON object per line):
+//   first_message  — first user message of a conversation (again
+//                    after it was resolved)
+//   bot_reply      — every reply the bot sends
+//   media_fallback — the predefined media response was sent
+//   escalation     — handed to a human, with trigger/reason/team
+//   return_to_bot  — back with the bot after an escalation
+//   resolution     — the conversation was resolved
+//   csat           — the user rated the conversation (1–5)
+// Reports replay the file into "episodes" (first message → resolution)
+// and aggregate them per day or per week in `timezone`.
+// ============================================================
+const EVENT_TYPES = ['first_message', 'bot_reply', 'media_fallback', 'escalation', 'return_to_bot', 'resolution', 'csat'];
+const PERIODS = ['daily', 'weekly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function createAnalytics({ filePath, enabled = true, timezone = 'UTC' }) {
+  const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric'
+  });
+
+  // Conversations with a first_message and no resolution yet
+  const open = new Set();
+  let writing = Promise.resolve();
+
+  function parseLines(content) {
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A torn last line after a crash is skipped, not fatal
+      }
+    }
+    return events;
+  }
+
+  if (enabled) {
+    try {
+      for (const event of parseLines(fs.readFileSync(filePath, 'utf8'))) {
+        if (event.type === 'first_message') open.add(event.conversation_id);
+        if (event.type === 'resolution') open.delete(event.conversation_id);
+      }
+      log('📊', `Loaded analytics from ${filePath} (${open.size} open conversation(s))`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log('⚠️', `Could not read analytics file ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  // Appends are chained so events land in the file in the order recorded
+  function record(type, conversationId, fields = {}) {
+    if (!enabled || !conversationId) {
+      return Promise.resolve();
+    }
+
+    const event = { ts: new Date().toISOString(), type, conversation_id: conversationId, ...fields };
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(event)}\n`);
+      })
+      .catch(error => log('⚠️', `Failed to record analytics event ${type}: ${error.message}`));
+    return writing;
+  }
+
+  async function readEvents() {
+    await writing;
+    try {
+      return parseLines(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // ---------- Time buckets in the reporting timezone ----------
+  function localParts(ts) {
+    const parts = Object.fromEntries(partsFormat.formatToParts(new Date(ts)).map(p => [p.type, p.value]));
+    return {
+      date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+      hour: Number(parts.hour)
+    };
+  }
+
+  // Weeks start on Monday and are keyed by that date
+  function bucketKey(date, period) {
+    if (period === 'daily') {
+      return date;
+    }
+    const day = new Date(`${date}T00:00:00Z`);
+    const monday = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    return monday.toISOString().slice(0, 10);
+  }
+
+  function emptyBucket(key) {
+    return {
+      period_start: key,
+      conversations: 0,
+      contained: 0,
+      escalated: 0,
+      containment_rate: null,
+      bot_replies: 0,
+      media_fallbacks: 0,
+      escalations: 0,
+      avg_replies_before_escalation: null,
+      returns_to_bot: 0,
+      resolutions: 0,
+      escalations_by_reason: {},
+      escalations_by_team: {},
+      escalations_by_hour: Array(24).fill(0),
+      csat_responses: 0,
+      avg_csat: null,
+      replies_before_escalation: [],
+      ratings: []
+    };
+  }
+
+  // `from`/`to` are local dates (YYYY-MM-DD), both inclusive
+  async function report({ period = 'daily', from = null, to = null } = {}) {
+    const events = await readEvents();
+    const buckets = new Map();
+    const episodes = new Map();
+
+    const bucketFor = ts => {
+      const key = bucketKey(localParts(ts).date, period);
+      if (!buckets.has(key)) buckets.set(key, emptyBucket(key));
+      return buckets.get(key);
+    };
+
+    // Conversation-level numbers count in the bucket where the episode started
+    const startEpisode = event => {
+      const episode = { bucket: bucketFor(event.ts), replies: 0, escalated: false };
+      episode.bucket.conversations++;
+      episodes.set(event.conversation_id, episode);
+      return episode;
+    };
+
+    for (const event of events) {
+      const bucket = bucketFor(event.ts);
+      if (event.type === 'csat') {
+        // Ratings come after the resolution and don't open an episode
+        bucket.csat_responses++;
+        bucket.ratings.push(event.rating);
+        continue;
+      }
+
+      let episode = episodes.get(event.conversation_id);
+      if (event.type === 'first_message' || !episode) {
+        episode = startEpisode(event);
+      }
+
+      switch (event.type) {
+        case 'bot_reply':
+          bucket.bot_replies++;
+          episode.replies++;
+          break;
+        case 'media_fallback':
+          bucket.media_fallbacks++;
+          break;
+        case 'escalation': {
+          const reason = event.trigger || 'unknown';
+          bucket.escalations++;
+          bucket.escalations_by_reason[reason] = (bucket.escalations_by_reason[reason] || 0) + 1;
+          if (event.team) {
+            bucket.escalations_by_team[event.team] = (bucket.escalations_by_team[event.team] || 0) + 1;
+          }
+          bucket.escalations_by_hour[localParts(event.ts).hour]++;
+          if (!episode.escalated) {
+            bucket.replies_before_escalation.push(episode.replies);
+            episode.escalated = true;
+            episode.bucket.escalated++;
+          }
+          break;
+        }
+        case 'return_to_bot':
+          bucket.returns_to_bot++;
+          break;
+        case 'resolution':
+          bucket.resolutions++;
+          if (!episode.escalated) {
+            episode.bucket.contained++;
+          }
+          episodes.delete(event.conversation_id);
+          break;
+        default:
+          break;
+      }
+    }
+
+    const fromKey = from ? bucketKey(from, period) : null;
+    return [...buckets.values()]
+      .filter(bucket => (!fromKey || bucket.period_start >= fromKey) && (!to || bucket.period_start <= to))
+      .sort((a, b) => a.period_start.localeCompare(b.period_start))
+      .map(({ replies_before_escalation: replies, ratings, ...bucket }) => {
+        const finished = bucket.contained + bucket.escalated;
+        return {
+          ...bucket,
+          // Share of finished conversations (resolved or escalated) the bot handled alone
+          containment_rate: finished ? Number((bucket.contained / finished).toFixed(3)) : null,
+          avg_replies_before_escalation: replies.length
+            ? Number((replies.reduce((sum, n) => sum + n, 0) / replies.length).toFixed(2))
+            : null,
+          avg_csat: ratings.length
+            ? Number((ratings.reduce((sum, n) => sum + n, 0) / ratings.length).toFixed(2))
+            : null
+        };
+      });
+  }
+
+  async function events({ from = null, to = null } = {}) {
+    return (await readEvents()).filter(event => {
+      const date = localParts(event.ts).date;
+      return (!from || date >= from) && (!to || date <= to);
+    });
+  }
+
+  return {
+    enabled,
+    timezone,
+    record,
+
+    // Records first_message once per episode
+    async userMessage(conversationId) {
+      if (!enabled || open.has(conversationId)) {
+        return;
+      }
+      open.add(conversationId);
+      await record('first_message', conversationId);
+    },
+
+    // Only an open conversation can be resolved, so a resolve webhook
+    // arriving after the bot's own resolve is not counted twice
+    async resolution(conversationId, fields = {}) {
+      if (!enabled || !open.has(conversationId)) {
+        return;
+      }
+      open.delete(conversationId);
+      await record('resolution', conversationId, fields);
+    },
+
+    report,
+    events,
+
+    stats() {
+      return { enabled, file: filePath, timezone, open_conversations: open.size };
+    }
+  };
+}
+
+// ---------- CSV ----------
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+// Report rows with the nested breakdowns spread into flat columns
+function reportToCsv(rows) {
+  const reasons = [...new Set(rows.flatMap(row => Object.keys(row.escalations_by_reason)))].sort();
+  const flat = rows.map(row => ({
+    ...row,
+    ...Object.fromEntries(reasons.map(reason => [`reason_${reason}`, row.escalations_by_reason[reason] || 0])),
+    ...Object.fromEntries(row.escalations_by_hour.map((count, hour) => [`hour_${pad(hour)}`, count]))
+  }));
+  return toCsv(flat, [
+    'period_start', 'conversations', 'contained', 'escalated', 'containment_rate', 'bot_replies',
+    'media_fallbacks', 'escalations', 'avg_replies_before_escalation', 'returns_to_bot', 'resolutions',
+    'csat_responses', 'avg_csat',
+    ...reasons.map(reason => `reason_${reason}`),
+    ...Array.from({ length: 24 }, (_, hour) => `hour_${pad(hour)}`)
+  ]);
+}
+
+function eventsToCsv(events) {
+  const extra = [...new Set(events.flatMap(event => Object.keys(event)))]
+    .filter(key => !['ts', 'type', 'conversation_id'].includes(key))
+    .sort();
+  return toCsv(events, ['ts', 'type', 'conversation_id', ...extra]);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  PERIODS,
+  createAnalytics,
+  toCsv,
+  reportToCsv,
+  eventsToCsv
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+// ============================================================
+// API key auth for admin/debug endpoints
+// Keys are configured as comma-separated `name:key:role` entries,
+// e.g. ADMIN_API_KEYS="dashboard:abc123:read,ops:def456:operator"
+// The key is everything between the first and the last ':', so it may
+// contain colons itself; `name:key` alone gets the read role.
+// Roles: read (view state/debug data) < operator (change routing)
+// Operator requests are always audited; read routes that return customer
+// content opt in with requireRole('read', { audit: true })
+// ============================================================
+const ROLE_LEVELS = { read: 1, operator: 2 };
+
+// Values from .env.example that must never reach production
+const PLACEHOLDER_KEY = /change_me/i;
+
+function splitEntry(entry) {
+  const first = entry.indexOf(':');
+  const last = entry.lastIndexOf(':');
+  if (first === -1) {
+    return [entry];
+  }
+  if (first === last) {
+    return [entry.slice(0, first), entry.slice(first + 1)];
+  }
+  return [entry.slice(0, first), entry.slice(first + 1, last), entry.slice(last + 1)];
+}
+
+function parseApiKeys(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, role = 'read'] = splitEntry(entry).map(part => part.trim());
+      if (!name || !key || !ROLE_LEVELS[role]) {
+        throw new Error(`Invalid ADMIN_API_KEYS entry "${name || entry}" (expected name:key:read|operator)`);
+      }
+      if (PLACEHOLDER_KEY.test(key)) {
+        throw new Error(`ADMIN_API_KEYS entry "${name}" still uses a change_me placeholder key - set a real secret`);
+      }
+      return { name, role, hash: hashKey(key) };
+    });
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function extractKey(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+function createAuth({ keys = [], auditLogPath } = {}) {
+  const auditFile = auditLogPath || path.join(process.cwd(), 'data', 'audit.log');
+
+  function identify(req) {
+    const key = extractKey(req);
+    if (!key) return null;
+
+    const hash = hashKey(key);
+    return keys.find(entry => crypto.timingSafeEqual(entry.hash, hash)) || null;
+  }
+
+  // Append-only JSON lines; one entry per audited request
+  function audit(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n';
+    log('📝', `AUDIT ${entry.principal || 'anonymous'} ${entry.method} ${entry.path} → ${entry.status}`);
+
+    fs.promises.mkdir(path.dirname(auditFile), { recursive: true })
+      .then(() => fs.promises.appendFile(auditFile, line))
+      .catch(error => log('❌', `Failed to write audit log: ${error.message}`));
+  }
+
+  function requireRole(role, { audit: audited = role === 'operator' } = {}) {
+    const needed = ROLE_LEVELS[role];
+
+    return (req, res, next) => {
+      const principal = identify(req);
+
+      if (!principal || ROLE_LEVELS[principal.role] < needed) {
+        const status = principal ? 403 : 401;
+        log('🚫', `Denied ${req.method} ${req.path} (${principal ? `${principal.name} lacks ${role} role` : 'missing or unknown API key'})`);
+
+        if (audited) {
+          audit({
+            principal: principal?.name || null,
+            role: principal?.role || null,
+            method: req.method,
+            path: req.originalUrl,
+            ip: req.ip,
+            status,
+            outcome: 'denied'
+          });
+        }
+
+        return res.status(status).json({ success: false, error: principal ? 'Forbidden' : 'Unauthorized' });
+      }
+
+      req.principal = { name: principal.name, role: principal.role };
+
+      if (audited) {
+        res.on('finish', () => {
+          audit({
+            principal: principal.name,
+            role: principal.role,
+            method: req.method,
+            path: req.originalUrl,
+            params: req.params,
+            // Field names only - bodies can carry customer messages
+            body_fields: req.body && Object.keys(req.body).length ? Object.keys(req.body) : undefined,
+            ip: req.ip,
+            status: res.statusCode,
+            outcome: res.statusCode < 400 ? 'ok' : 'error'
+          });
+        });
+      }
+
+      next();
+    };
+  }
+
+  return { requireRole, identify, audit };
+}
+
+module.exports = {
+  parseApiKeys,
+  createAuth
+};
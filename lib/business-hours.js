@@ -0,0 +1,162 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Business calendar — when the human team is online.
+//
+// BUSINESS_HOURS_FILE (JSON):
+// {
+//   "timezone": "Asia/Karachi",
+//   "hours": {
+//     "mon": [["09:00", "18:00"]],
+//     "fri": [["09:00", "12:30"], ["14:30", "18:00"]],
+//     "sat": [["10:00", "14:00"]]
+//   },
+//   "holidays": ["2026-03-20", { "date": "2026-05-27", "name": "Eid ul Adha" }]
+// }
+// Days missing from "hours" are closed. Without a file the team is
+// treated as always online.
+// ============================================================
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LOOKAHEAD_DAYS = 14;
+
+function loadBusinessCalendar(filePath) {
+  if (!filePath) {
+    return null;
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const calendar = createBusinessCalendar(config);
+  log('📅', `Loaded business hours from ${filePath} (${calendar.timezone}, ${calendar.holidays.size} holiday(s))`);
+  return calendar;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    throw new Error(`Invalid business hours time: ${hhmm}`);
+  }
+  return hours * 60 + minutes;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function createBusinessCalendar({ timezone = 'UTC', hours = {}, holidays = [] } = {}) {
+  const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  });
+  const displayFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    weekday: 'long',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZoneName: 'short'
+  });
+
+  const windows = {};
+  for (const day of WEEKDAYS) {
+    windows[day] = (hours[day] || [])
+      .map(([start, end]) => ({ start: toMinutes(start), end: toMinutes(end) }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  const holidayDates = new Map(holidays.map(holiday => typeof holiday === 'string'
+    ? [holiday, null]
+    : [holiday.date, holiday.name || null]));
+
+  // Wall-clock date/time in the business timezone
+  function localParts(date) {
+    const parts = Object.fromEntries(partsFormat.formatToParts(date).map(p => [p.type, p.value]));
+    const year = Number(parts.year);
+    const month = Number(parts.month);
+    const day = Number(parts.day);
+    return {
+      year,
+      month,
+      day,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute),
+      weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()],
+      date: `${year}-${pad(month)}-${pad(day)}`
+    };
+  }
+
+  function offsetMs(date) {
+    const p = localParts(date);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, 0, p.minutes);
+    return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+  }
+
+  // Wall-clock time in the business timezone -> instant (DST-safe)
+  function fromLocal(year, month, day, minutes) {
+    const guess = Date.UTC(year, month - 1, day, 0, minutes);
+    let instant = guess - offsetMs(new Date(guess));
+    const corrected = guess - offsetMs(new Date(instant));
+    if (corrected !== instant) {
+      instant = corrected;
+    }
+    return new Date(instant);
+  }
+
+  function isOpen(date = new Date()) {
+    const p = localParts(date);
+    if (holidayDates.has(p.date)) {
+      return false;
+    }
+    return windows[p.weekday].some(w => p.minutes >= w.start && p.minutes < w.end);
+  }
+
+  // Start of the next working window (or `date` itself when open); null if
+  // nothing opens within LOOKAHEAD_DAYS
+  function nextOpening(date = new Date()) {
+    if (isOpen(date)) {
+      return date;
+    }
+
+    const today = localParts(date);
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+      const dateKey = `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`;
+      if (holidayDates.has(dateKey)) {
+        continue;
+      }
+
+      for (const window of windows[WEEKDAYS[day.getUTCDay()]]) {
+        const start = fromLocal(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), window.start);
+        if (start > date) {
+          return start;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  function holidayName(date = new Date()) {
+    return holidayDates.get(localParts(date).date) || null;
+  }
+
+  return {
+    timezone,
+    holidays: holidayDates,
+    isOpen,
+    nextOpening,
+    holidayName,
+    format: date => displayFormat.format(date)
+  };
+}
+
+module.exports = {
+  loadBusinessCalendar,
+  createBusinessCalendar
+};
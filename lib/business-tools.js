@@ -0,0 +1,93 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Server-side tools the assistant can call.
+// The matching function definitions must also be added to the
+// assistant in the OpenAI dashboard (same names and parameters).
+// ============================================================
+
+// COURSE_FEES_FILE is a JSON array, e.g.
+// [{ "course": "ACCA", "level": "Applied Knowledge", "fee": 45000, "currency": "PKR", "notes": "per paper" }]
+// Re-read on every call so fee updates don't need a redeploy.
+function loadCourseFees(filePath) {
+  const fees = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(fees)) {
+    throw new Error('Course fee file must contain a JSON array');
+  }
+  return fees;
+}
+
+function registerBusinessTools(registry, { store, sendPrivateNote, courseFeesFile }) {
+  if (courseFeesFile) {
+    registry.register('lookup_course_fee', {
+      description: 'Look up the current fee for a course, optionally narrowed to a level or paper.',
+      parameters: {
+        type: 'object',
+        properties: {
+          course: { type: 'string', description: 'Course name, e.g. ACCA, CIMA, CA' },
+          level: { type: 'string', description: 'Optional level, paper or module' }
+        },
+        required: ['course']
+      },
+      handler: async ({ course, level }) => {
+        const fees = loadCourseFees(courseFeesFile);
+        const wanted = (value) => (value || '').toLowerCase().trim();
+
+        const matches = fees.filter(entry =>
+          wanted(entry.course) === wanted(course) &&
+          (!level || wanted(entry.level).includes(wanted(level)))
+        );
+
+        if (matches.length === 0) {
+          return { found: false, message: `No fee information for ${course}${level ? ` (${level})` : ''}` };
+        }
+
+        return { found: true, fees: matches };
+      }
+    });
+  } else {
+    log('ℹ️', 'COURSE_FEES_FILE not set — lookup_course_fee tool disabled');
+  }
+
+  registry.register('capture_lead', {
+    description: 'Save a prospective student\'s contact details and interest so the admissions team can follow up.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        phone: { type: 'string' },
+        email: { type: 'string' },
+        course: { type: 'string', description: 'Course the student is interested in' },
+        notes: { type: 'string', description: 'Anything else the team should know' }
+      },
+      required: ['name']
+    },
+    handler: async (lead, { conversationId }) => {
+      if (!conversationId) {
+        throw new Error('No conversation to attach the lead to');
+      }
+
+      const record = await store.saveLead(conversationId, lead);
+
+      const note = [
+        '📋 New lead captured by bot',
+        `Name: ${lead.name}`,
+        lead.phone && `Phone: ${lead.phone}`,
+        lead.email && `Email: ${lead.email}`,
+        lead.course && `Course: ${lead.course}`,
+        lead.notes && `Notes: ${lead.notes}`
+      ].filter(Boolean).join('\n');
+
+      try {
+        await sendPrivateNote(conversationId, note);
+      } catch (error) {
+        log('⚠️', `Lead saved but private note failed: ${error.message}`);
+      }
+
+      return { saved: true, captured_at: record.captured_at };
+    }
+  });
+}
+
+module.exports = { registerBusinessTools };
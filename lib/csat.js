@@ -0,0 +1,161 @@
+const log = require('./log');
+const { matchChoice } = require('./quick-replies');
+
+// ============================================================
+// CSAT survey after bot-resolved conversations.
+// start() sends a 1–5 rating prompt as five quick-reply buttons (past
+// the QUICK_REPLY_MAX_BUTTONS cap, which would turn the scale into a
+// numbered list) and keeps a pending survey in the store. The user's next text message goes
+// through handleReply() before normal processing: a rating is stored
+// with the thread ID, low scores can get a follow-up question and/or
+// be escalated. Anything that is not a rating drops the survey and is
+// handled as a normal message.
+//
+// Callbacks (all async):
+//   send(conversationId, key, { choices, maxButtons })
+//                                             send a survey message:
+//                                             prompt, followUp, thanks, escalated
+//   escalate(conversationId, response)        hand a low score to a human
+//   getThreadId(conversationId) → id|null     thread the rating belongs to
+//   onResponse(conversationId, response)      e.g. analytics
+// ============================================================
+const RATING_CHOICES = [
+  { label: 'Very poor', payload: '1' },
+  { label: 'Poor', payload: '2' },
+  { label: 'Okay', payload: '3' },
+  { label: 'Good', payload: '4' },
+  { label: 'Excellent', payload: '5' }
+];
+
+// Button tap, option number/label, "4/5", "4 out of 5" or ⭐⭐⭐⭐
+function parseRating(text) {
+  const choice = matchChoice(text, RATING_CHOICES);
+  if (choice) {
+    return Number(choice.payload);
+  }
+
+  const stars = (text.match(/⭐/g) || []).length;
+  if (stars && !text.replace(/⭐|\s/g, '')) {
+    return Math.min(stars, 5);
+  }
+
+  const match = /^\s*([1-5])\s*(?:\/\s*5|out of 5)?\s*[.!]?\s*$/i.exec(text);
+  return match ? Number(match[1]) : null;
+}
+
+function createCsatSurvey({
+  store,
+  enabled = false,
+  lowScore = 2,
+  followUp = true,
+  escalateLowScore = false,
+  expiryMs = 24 * 60 * 60 * 1000,
+  send,
+  escalate,
+  getThreadId,
+  onResponse = async () => {}
+}) {
+  async function pendingSurvey(conversationId) {
+    const survey = await store.getSurvey(conversationId);
+    if (survey && Date.now() - Date.parse(survey.sent_at) > expiryMs) {
+      await store.clearSurvey(conversationId);
+      return null;
+    }
+    return survey;
+  }
+
+  async function finish(conversationId, response) {
+    await store.clearSurvey(conversationId);
+
+    if (response.rating <= lowScore && escalateLowScore) {
+      await send(conversationId, 'escalated');
+      log('🙁', `Low CSAT (${response.rating}/5) for ${conversationId} - escalating`);
+      await escalate(conversationId, response);
+      return;
+    }
+    await send(conversationId, 'thanks');
+  }
+
+  async function captureRating(conversationId, survey, rating) {
+    const response = {
+      survey_id: survey.survey_id,
+      thread_id: survey.thread_id,
+      rating,
+      comment: null,
+      sent_at: survey.sent_at,
+      rated_at: new Date().toISOString()
+    };
+    await store.saveCsatResponse(conversationId, response);
+    await store.clearChoices(conversationId);
+    await onResponse(conversationId, response);
+    log('⭐', `CSAT ${rating}/5 for conversation ${conversationId}`);
+
+    if (rating <= lowScore && followUp) {
+      await store.setSurvey(conversationId, { ...survey, stage: 'comment', response });
+      await send(conversationId, 'followUp');
+      return;
+    }
+    await finish(conversationId, response);
+  }
+
+  async function captureComment(conversationId, survey, comment) {
+    const updated = await store.saveCsatResponse(conversationId, { ...survey.response, comment });
+    log('📝', `CSAT comment saved for conversation ${conversationId}`);
+    await finish(conversationId, updated);
+  }
+
+  return {
+    enabled,
+
+    // Returns false when disabled or a survey is already waiting
+    async start(conversationId) {
+      if (!enabled || await pendingSurvey(conversationId)) {
+        return false;
+      }
+
+      const survey = {
+        survey_id: `${conversationId}:${Date.now()}`,
+        thread_id: await getThreadId(conversationId),
+        stage: 'rating',
+        sent_at: new Date().toISOString()
+      };
+      await store.setSurvey(conversationId, survey);
+      await send(conversationId, 'prompt', { choices: RATING_CHOICES, maxButtons: RATING_CHOICES.length });
+      log('📨', `CSAT survey sent to conversation ${conversationId}`);
+      return true;
+    },
+
+    // True when the message was a survey answer and must not be processed further
+    async handleReply(conversationId, text) {
+      if (!enabled) {
+        return false;
+      }
+
+      const survey = await pendingSurvey(conversationId);
+      if (!survey) {
+        return false;
+      }
+
+      if (survey.stage === 'comment') {
+        await captureComment(conversationId, survey, text);
+        return true;
+      }
+
+      const rating = parseRating(text);
+      if (rating === null) {
+        log('ℹ️', `Reply in ${conversationId} is not a rating - survey dropped`);
+        await store.clearSurvey(conversationId);
+        return false;
+      }
+
+      await captureRating(conversationId, survey, rating);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  RATING_CHOICES,
+  parseRating,
+  createCsatSurvey
+};
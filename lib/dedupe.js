@@ -0,0 +1,57 @@
+// ============================================================
+// Webhook de-duplication
+// Freshchat retries webhooks it thinks failed, so the same event
+// (and the same message) can arrive more than once. Keys are
+// remembered for `ttlMs`; checking a key also marks it as seen, so
+// two retries racing each other can't both get through.
+// ============================================================
+function createDeduplicator({ ttlMs = 60 * 60 * 1000, maxEntries = 10000 } = {}) {
+  const seen = new Map();
+  const stats = {
+    checked: 0,
+    duplicates: 0,
+    duplicates_by_action: {},
+    last_duplicate: null
+  };
+
+  function sweep(now) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now) break;
+      seen.delete(key);
+    }
+    // Map keeps insertion order, so the oldest keys go first
+    while (seen.size > maxEntries) {
+      seen.delete(seen.keys().next().value);
+    }
+  }
+
+  // Returns the first key that was already seen, or null if the event is new
+  function check(keys, action = 'unknown') {
+    const now = Date.now();
+    const candidates = keys.filter(Boolean);
+    stats.checked++;
+    sweep(now);
+
+    const duplicateKey = candidates.find(key => (seen.get(key) || 0) > now) || null;
+
+    if (duplicateKey) {
+      stats.duplicates++;
+      stats.duplicates_by_action[action] = (stats.duplicates_by_action[action] || 0) + 1;
+      stats.last_duplicate = { key: duplicateKey, action, at: new Date(now).toISOString() };
+      return duplicateKey;
+    }
+
+    for (const key of candidates) {
+      seen.delete(key);
+      seen.set(key, now + ttlMs);
+    }
+    return null;
+  }
+
+  return {
+    check,
+    stats: () => ({ ...stats, tracked_keys: seen.size, ttl_seconds: Math.round(ttlMs / 1000) })
+  };
+}
+
+module.exports = { createDeduplicator };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Escalation signals from the assistant
+// Primary: the assistant calls the `escalate_to_human` tool with a
+// reason and target team. Fallback: the reply contains one of the
+// known handoff phrases (kept for prompts that don't use the tool yet).
+// ============================================================
+const DEFAULT_ESCALATION_KEYWORDS = [
+  'Please allow me to connect you to our manager. The response may take 12 to 24 hours due to the high volume of chats. Your patience would be highly appreciated.',
+  'connecting you with a human representative',
+  'Awesome! Our team will get back to you shortly, and we can’t wait to assist you!  Thanks for your patience.',
+  'Our team will get back to you shortly',
+  'Awesome! Our team will get back to you shortly to assist you further. Due to the ACCA results, replies may take a little longer than usual. Thank you for your patience—we look forward to assisting you!',
+  'connecting you to a human representative',
+  'speak to my human representative',
+  'talk to my human representative',
+  'allow me to connect with human representative',
+  'please allow me to connect you to our human representative',
+  'i have forwarded your details to our human representative',
+  'A Human Representative will assist you further'
+];
+
+// ESCALATION_KEYWORDS_FILE is a JSON array of phrases; without it the defaults apply
+function loadEscalationKeywords(filePath) {
+  if (!filePath) {
+    return DEFAULT_ESCALATION_KEYWORDS;
+  }
+
+  const keywords = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(keywords)) {
+    throw new Error('Escalation keyword file must contain a JSON array of strings');
+  }
+  log('📋', `Loaded ${keywords.length} escalation keyword(s) from ${filePath}`);
+  return keywords;
+}
+
+// Returns the matched keyword, or null
+function matchEscalationKeyword(text, keywords) {
+  const lower = (text || '').toLowerCase();
+  return keywords.find(keyword => lower.includes(keyword.toLowerCase())) || null;
+}
+
+// The handler doesn't escalate by itself — it flags the turn through
+// `context.signals`, and escalation happens once the reply has been sent.
+// The same definition must be added to the assistant in the OpenAI
+// dashboard when using the Assistants provider.
+function registerEscalationTool(registry, { teams = [] } = {}) {
+  registry.register('escalate_to_human', {
+    description: 'Hand the conversation over to a human agent. Call this whenever the user needs a person ' +
+      '(they ask for one, the question is outside what you can answer, or they are upset). ' +
+      'Still reply to the user telling them a team member will follow up.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Short reason for the handoff, e.g. "refund request"' },
+        team: teams.length
+          ? { type: 'string', enum: teams, description: 'Team that should take over' }
+          : { type: 'string', description: 'Team that should take over, e.g. admissions, finance, exams' }
+      },
+      required: ['reason']
+    },
+    handler: async ({ reason, team }, context) => {
+      if (context.signals) {
+        context.signals.escalation = { trigger: 'tool', reason, team: team || null };
+      }
+      log('🚨', `Assistant requested escalation (reason: ${log.text(reason)}, team: ${team || 'default'})`);
+      return { escalated: true };
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_ESCALATION_KEYWORDS,
+  loadEscalationKeywords,
+  matchEscalationKeyword,
+  registerEscalationTool
+};
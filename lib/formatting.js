@@ -0,0 +1,158 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Reply formatting profiles, chosen per conversation channel:
+//   whatsapp — WhatsApp's own markup (*bold*, _italic_, ~strike~)
+//   plain    — no markup at all (SMS-like channels)
+//   web      — markdown kept as-is for the web widget
+// All profiles apply the same paragraph spacing rules.
+// ============================================================
+const PROFILES = ['whatsapp', 'plain', 'web'];
+
+// Strings start a new paragraph when a line begins with them;
+// objects are raw regex rules: { "pattern": "...", "flags": "gi", "replacement": "..." }
+const DEFAULT_SPACING_RULES = [
+  'Would you like',
+  'Do you want',
+  'Do you need',
+  'Would you prefer',
+  'May I know',
+  'Please let me know',
+  'I have tried my best',
+  'If you want me to continue',
+  'If you want me to assist',
+  'If you require further',
+  'Please reply with',
+  { pattern: '(Hello!?|Hi!?|Good morning!?|Good afternoon!?|Good evening!?)\\s*\\n([^\\n])', flags: 'gi', replacement: '$1\n\n$2' },
+  { pattern: '([^\\n])\\n(For [A-Z]{2,3} )', flags: 'g', replacement: '$1\n\n$2' }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileSpacingRules(rules) {
+  return rules.map(rule => (typeof rule === 'string'
+    ? { pattern: new RegExp(`([^\\n])\\n(${escapeRegExp(rule)})`, 'g'), replacement: '$1\n\n$2' }
+    : { pattern: new RegExp(rule.pattern, rule.flags ?? 'g'), replacement: rule.replacement ?? '$1\n\n$2' }));
+}
+
+// SPACING_RULES_FILE is a JSON array in the DEFAULT_SPACING_RULES format
+function loadSpacingRules(filePath) {
+  if (!filePath) {
+    return compileSpacingRules(DEFAULT_SPACING_RULES);
+  }
+
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(rules)) {
+    throw new Error('Spacing rules file must contain a JSON array');
+  }
+  log('📋', `Loaded ${rules.length} spacing rule(s) from ${filePath}`);
+  return compileSpacingRules(rules);
+}
+
+// ---------- Markup per profile ----------
+// Code spans, URLs and email addresses are parked on placeholders while
+// the markup is converted, so `_` and `*` inside them are left alone
+// (neither ends in markup or punctuation: "*https://x.com/a_b*.", "_me@x.com_")
+const PROTECTED_SPANS = /`[^`\n]+`|\b(?:https?:\/\/|www\.)[^\s<>()[\]]*[^\s<>()[\]*_~.,!?:;'"]|[A-Za-z0-9][\w.+-]*@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g;
+
+function withProtectedSpans(text, convert, restore = span => span) {
+  const spans = [];
+  const parked = text.replace(PROTECTED_SPANS, span => {
+    const index = spans.includes(span) ? spans.indexOf(span) : spans.push(span) - 1;
+    return `\u0001${index}\u0001`;
+  });
+  return convert(parked).replace(/\u0001(\d+)\u0001/g, (_, index) => restore(spans[index]));
+}
+
+function toWhatsAppMarkup(text) {
+  return withProtectedSpans(text, convertWhatsAppMarkup);
+}
+
+function convertWhatsAppMarkup(text) {
+  return text
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, (_, label, url) => (label === url ? url : `${label}: ${url}`))
+    // Bold is parked on a placeholder so the italic rule doesn't re-read it
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `\u0000${a || b}\u0000`)
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1_$2_')
+    .replace(/\u0000/g, '*')
+    .replace(/~~(.+?)~~/g, '~$1~')
+    .replace(/^#+\s*(.*)$/gm, '*$1*');
+}
+
+// Code spans lose their backticks but keep their content as written
+function toPlainText(text) {
+  return withProtectedSpans(text, convertPlainText, span => (span.startsWith('`') ? span.slice(1, -1) : span));
+}
+
+function convertPlainText(text) {
+  return text
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$2')
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/\*(.*?)\*/g, '$1')
+    .replace(/__(.*?)__/g, '$1')
+    .replace(/_(.*?)_/g, '$1')
+    .replace(/~~(.*?)~~/g, '$1')
+    .replace(/^#+\s*(.*)$/gm, (_, title) => title.toUpperCase());
+}
+
+const MARKUP = {
+  whatsapp: { convert: toWhatsAppMarkup, bullet: '•' },
+  plain: { convert: toPlainText, bullet: '•' },
+  web: { convert: text => text, bullet: '-' }
+};
+
+function applySpacing(text, bullet, spacingRules) {
+  const b = escapeRegExp(bullet);
+  let formatted = text
+    .replace(new RegExp(`([^\\n${b}])\\n(${b}\\s)`, 'g'), '$1\n\n$2')
+    .replace(new RegExp(`(${b}\\s[^\\n]+)\\n\\n+(${b}\\s)`, 'g'), '$1\n$2')
+    .replace(new RegExp(`(${b}\\s[^\\n]+)\\n([^${b}\\n\\s])`, 'g'), '$1\n\n$2');
+
+  for (const { pattern, replacement } of spacingRules) {
+    formatted = formatted.replace(pattern, replacement);
+  }
+
+  return formatted.replace(/\n{3,}/g, '\n\n');
+}
+
+function formatMessage(text, { profile = 'whatsapp', spacingRules = compileSpacingRules(DEFAULT_SPACING_RULES) } = {}) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  const { convert, bullet } = MARKUP[profile] || MARKUP.whatsapp;
+
+  let formatted = convert(text.trim());
+  formatted = formatted.replace(/^[••▪◦*-]\s+/gm, `${bullet} `);
+  formatted = applySpacing(formatted, bullet, spacingRules);
+
+  return formatted
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+// "channelId:profile,..." → { channelId: profile }
+function parseChannelProfiles(value) {
+  const profiles = {};
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [channelId, profile] = entry.split(':').map(part => part.trim());
+    if (!PROFILES.includes(profile)) {
+      throw new Error(`Unknown format profile "${profile}" for channel ${channelId} (use ${PROFILES.join(', ')})`);
+    }
+    profiles[channelId] = profile;
+  }
+  return profiles;
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_SPACING_RULES,
+  loadSpacingRules,
+  formatMessage,
+  parseChannelProfiles
+};
@@ -0,0 +1,187 @@
+const axios = require('axios');
+const log = require('./log');
+
+// ============================================================
+// Freshchat API client — every call gets a timeout, retries with
+// exponential backoff (honouring Retry-After) and goes through a
+// circuit breaker.
+// - Retried: 429, 5xx and network errors. POSTs are not idempotent,
+//   so they are only retried when Freshchat cannot have acted on the
+//   request (429, 502/503/504, connection refused/reset).
+// - After `breakerThreshold` consecutive failed requests (counted once
+//   each, after its retries) the circuit opens and calls fail fast with
+//   code CIRCUIT_OPEN for `breakerResetMs`; then a single trial call,
+//   without retries, decides whether it closes again.
+// - Returns the axios response; errors are the axios errors, so
+//   error.response / error.config keep working for callers.
+// ============================================================
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const POST_RETRYABLE_STATUSES = [429, 502, 503, 504];
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds or an HTTP date → milliseconds, or null
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error, method) {
+  const status = error.response?.status;
+  if (method === 'post') {
+    return status ? POST_RETRYABLE_STATUSES.includes(status) : NOT_SENT_CODES.includes(error.code);
+  }
+  return status ? RETRYABLE_STATUSES.includes(status) : true;
+}
+
+// Failures that say something about Freshchat's health (not our 4xx)
+function isOutage(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+function createFreshchatClient({
+  baseUrl,
+  apiKey,
+  timeoutMs = 10000,
+  maxRetries = 3,
+  backoffMs = 500,
+  maxBackoffMs = 8000,
+  maxRetryAfterMs = 30000,
+  breakerThreshold = 5,
+  breakerResetMs = 30000,
+  onRetry = () => {},
+  onError = () => {}
+}) {
+  const breaker = { state: 'closed', failures: 0, openedAt: null, trial: false };
+
+  function openCircuit() {
+    if (breaker.state !== 'open') {
+      log('🔌', `Freshchat circuit opened after ${breaker.failures} consecutive failure(s) - failing fast for ${breakerResetMs}ms`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    breaker.trial = false;
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') {
+      log('🔌', 'Freshchat circuit closed - API reachable again');
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.trial = false;
+  }
+
+  function recordFailure() {
+    breaker.failures++;
+    if (breaker.state === 'half_open' || breaker.failures >= breakerThreshold) {
+      openCircuit();
+    }
+  }
+
+  // Throws CIRCUIT_OPEN while open; lets one trial call through once the
+  // reset time is over and returns true for that call
+  function checkCircuit(method, url) {
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= breakerResetMs) {
+      breaker.state = 'half_open';
+    }
+    if (breaker.state === 'closed' || (breaker.state === 'half_open' && !breaker.trial)) {
+      breaker.trial = breaker.state === 'half_open';
+      return breaker.trial;
+    }
+
+    const error = new Error('Freshchat circuit open - call skipped');
+    error.code = 'CIRCUIT_OPEN';
+    error.config = { method, url };
+    throw error;
+  }
+
+  function retryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    const exponential = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  async function request(method, path, { data, timeout = timeoutMs, retries = maxRetries, headers = {} } = {}) {
+    const url = `${baseUrl}${path}`;
+
+    for (let attempt = 0; ; attempt++) {
+      let trial = false;
+      try {
+        trial = checkCircuit(method, url);
+        const response = await axios.request({
+          method,
+          url,
+          data,
+          timeout,
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json',
+            ...headers
+          }
+        });
+        recordSuccess();
+        return response;
+      } catch (error) {
+        const delay = retryDelay(error, attempt);
+        const canRetry = error.code !== 'CIRCUIT_OPEN' &&
+          !trial &&
+          attempt < retries &&
+          isRetryable(error, method) &&
+          delay <= maxRetryAfterMs;
+
+        if (!canRetry) {
+          // One request is one failure for the breaker, however often it was tried
+          if (error.code !== 'CIRCUIT_OPEN') {
+            if (isOutage(error)) {
+              recordFailure();
+            } else {
+              recordSuccess();
+            }
+          }
+          error.attempts = attempt + 1;
+          onError(error);
+          throw error;
+        }
+
+        log('⏳', `Freshchat ${method.toUpperCase()} ${path} failed (${error.response?.status || error.code}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        onRetry(error);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (path, options) => request('get', path, options),
+    put: (path, data, options) => request('put', path, { ...options, data }),
+    post: (path, data, options) => request('post', path, { ...options, data }),
+
+    circuit() {
+      return {
+        state: breaker.state === 'open' && Date.now() - breaker.openedAt >= breakerResetMs ? 'half_open' : breaker.state,
+        consecutive_failures: breaker.failures,
+        opened_at: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        threshold: breakerThreshold,
+        reset_ms: breakerResetMs
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFreshchatClient,
+  parseRetryAfter
+};
@@ -0,0 +1,64 @@
+const log = require('./log');
+const { formatTranscript } = require('./memory');
+
+// ============================================================
+// Handoff summary for the agent taking over an escalated chat,
+// posted as a private note so they don't have to read the whole
+// bot conversation. Must run while the thread still exists.
+// ============================================================
+const HANDOFF_INSTRUCTIONS = 'You hand a customer chat over from a support assistant to a human agent ' +
+  'at an education provider. From the transcript write a short briefing with exactly these lines:\n' +
+  'Intent: <what the user wants, one sentence>\n' +
+  'Key details: <details the user gave, e.g. name, course, paper, city; "none" if none>\n' +
+  'Already answered: <what the assistant already told them, one or two sentences>\n' +
+  'Open question: <what the agent needs to handle next>\n' +
+  'No greeting, no extra lines.';
+
+const TRANSCRIPT_LIMIT = 30;
+
+function createHandoffSummarizer({ openai, llm, model }) {
+  async function generate(conversationId, { reason, message }) {
+    const transcript = await llm.getTranscript(conversationId, TRANSCRIPT_LIMIT);
+    if (!transcript.length) {
+      return null;
+    }
+
+    const completion = await openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: HANDOFF_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: `Escalation reason: ${reason || 'not given'}\n` +
+            (message ? `Latest user message: ${message}\n` : '') +
+            `\nTranscript:\n${formatTranscript(transcript)}`
+        }
+      ],
+      max_tokens: 300
+    });
+
+    return completion.choices[0].message.content?.trim() || null;
+  }
+
+  // Returns the note text. Without a transcript (or if the model call
+  // fails) the note still carries the reason and the user's last message.
+  async function summarize(conversationId, { reason = null, trigger = null, team = null, message = null } = {}) {
+    let briefing = null;
+    try {
+      briefing = await generate(conversationId, { reason, message });
+    } catch (error) {
+      log('⚠️', `Could not generate handoff summary for ${conversationId}: ${error.message}`);
+    }
+
+    return [
+      '🤝 Handoff summary from bot',
+      `Reason: ${reason || 'not given'}${trigger ? ` (${trigger})` : ''}`,
+      team && `Requested team: ${team}`,
+      briefing ? `\n${briefing}` : message && `Last user message: ${message}`
+    ].filter(Boolean).join('\n');
+  }
+
+  return { summarize };
+}
+
+module.exports = { createHandoffSummarizer };
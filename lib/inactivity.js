@@ -0,0 +1,122 @@
+const log = require('./log');
+
+// ============================================================
+// Inactivity timers for bot-owned conversations.
+// Last user/bot activity is kept in the state store; a scheduler
+// job calls run() to nudge conversations where the bot spoke last
+// and the user went quiet, and later to resolve them. A user reply
+// cancels both timers, so nothing fires while the user is talking.
+// Tracking starts with a bot reply and stops once the conversation is
+// handed over; records the bot never answered expire after the
+// resolve delay.
+//
+// Callbacks (all async):
+//   isHandedOver(conversationId) → boolean store-only check that a person
+//                                          owns or will own the chat
+//   isBotOwned(conversationId) → boolean   checked before acting
+//   nudge(conversationId)                  send the follow-up message
+//   resolve(conversationId)                close the conversation
+//   exclusive(conversationId, fn)          run fn serialized with the
+//                                          conversation's other work
+// ============================================================
+function createInactivityMonitor({
+  store,
+  enabled = true,
+  nudgeAfterMs,
+  resolveAfterMs,
+  isHandedOver = async () => false,
+  isBotOwned,
+  nudge,
+  resolve,
+  exclusive = (conversationId, fn) => fn()
+}) {
+  async function record(conversationId, changes) {
+    const existing = (await store.getActivity(conversationId)) || {};
+    await store.setActivity(conversationId, { ...existing, ...changes });
+  }
+
+  // Only waiting on the user when the bot had the last word
+  function waitingOnUser(activity) {
+    return activity.last_bot_at &&
+      (!activity.last_user_at || activity.last_bot_at >= activity.last_user_at);
+  }
+
+  async function handle(conversationId, now) {
+    // Re-read under the conversation lock - a reply may have come in meanwhile
+    const activity = await store.getActivity(conversationId);
+    if (!activity) {
+      return;
+    }
+
+    if (!waitingOnUser(activity)) {
+      // The user spoke last and the bot never answered (e.g. the run failed)
+      if (now - Date.parse(activity.last_user_at) >= resolveAfterMs) {
+        log('ℹ️', `Inactivity record for ${conversationId} expired without a bot reply`);
+        await store.deleteActivity(conversationId);
+      }
+      return;
+    }
+
+    const idleMs = now - Date.parse(activity.last_bot_at);
+    const dueForResolve = idleMs >= resolveAfterMs;
+    const dueForNudge = !activity.nudged_at && nudgeAfterMs && idleMs >= nudgeAfterMs;
+
+    if (!dueForResolve && !dueForNudge) {
+      return;
+    }
+
+    if (!(await isBotOwned(conversationId))) {
+      log('ℹ️', `Inactivity timers cancelled for ${conversationId} - no longer with the bot`);
+      await store.deleteActivity(conversationId);
+      return;
+    }
+
+    if (dueForResolve) {
+      log('💤', `Resolving idle conversation ${conversationId} (${Math.round(idleMs / 60000)} min without a reply)`);
+      await resolve(conversationId);
+      await store.deleteActivity(conversationId);
+      return;
+    }
+
+    log('👋', `Nudging idle conversation ${conversationId} (${Math.round(idleMs / 60000)} min without a reply)`);
+    await nudge(conversationId);
+    await record(conversationId, { nudged_at: new Date(now).toISOString() });
+  }
+
+  return {
+    // A user message cancels pending timers until the bot replies again.
+    // Conversations the bot has not replied to yet are not tracked.
+    async userActivity(conversationId) {
+      if (!enabled || !(await store.getActivity(conversationId))) return;
+      await record(conversationId, { last_user_at: new Date().toISOString(), nudged_at: null });
+    },
+
+    async botActivity(conversationId) {
+      if (!enabled) return;
+      if (await isHandedOver(conversationId)) {
+        await store.deleteActivity(conversationId);
+        return;
+      }
+      await record(conversationId, { last_bot_at: new Date().toISOString(), nudged_at: null });
+    },
+
+    async cancel(conversationId) {
+      return store.deleteActivity(conversationId);
+    },
+
+    async run() {
+      const now = Date.now();
+      const entries = await store.listActivity();
+
+      for (const { conversation } of entries) {
+        try {
+          await exclusive(conversation, () => handle(conversation, now));
+        } catch (error) {
+          log('❌', `Inactivity check failed for ${conversation}: ${error.message}`);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createInactivityMonitor };
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Inbound intent check — runs on the user's message BEFORE any
+// model call. Catches explicit requests for a human and strongly
+// negative messages so they can be handed over straight away.
+// Matching is accent/case-insensitive and fuzzy, so "humen
+// representitive" still counts. A phrase must end its clause (only
+// filler like "please" or an Urdu verb ending may follow), so "I need
+// a human resource course" is not a request; a negated one ("I can't
+// talk to a human now", "speak to a human? no thanks", "insan se baat
+// nahi karni") is ignored.
+// ============================================================
+const DEFAULT_INTENT_PHRASES = {
+  handoff: [
+    // English
+    'human representative',
+    'talk to a human',
+    'speak to a human',
+    'talk to a person',
+    'speak to a person',
+    'talk to a real person',
+    'speak to a real person',
+    'talk to an agent',
+    'speak to an agent',
+    'connect me to an agent',
+    'talk to customer service',
+    'speak to customer service',
+    'talk to customer support',
+    'i need a human',
+    'i want a human',
+    // Roman Urdu
+    'insan se baat',
+    'kisi insaan se baat',
+    'kisi banday se baat',
+    'agent se baat',
+    'representative se baat',
+    // Urdu
+    'انسان سے بات',
+    'نمائندے سے بات',
+    'ایجنٹ سے بات'
+  ],
+  negative: [
+    'this is useless',
+    'you are useless',
+    'not helpful at all',
+    'worst service',
+    'stupid bot',
+    'this is a waste of time',
+    'such a waste of time',
+    'i want to complain',
+    'file a complaint',
+    'bakwas',
+    'fazool',
+    'بکواس',
+    'فضول'
+  ]
+};
+
+// INTENT_PHRASES_FILE: JSON { "handoff": [...], "negative": [...] } — replaces the defaults per key
+function loadIntentPhrases(filePath) {
+  if (!filePath) {
+    return DEFAULT_INTENT_PHRASES;
+  }
+
+  const phrases = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  log('📋', `Loaded intent phrases from ${filePath}`);
+  return {
+    handoff: Array.isArray(phrases.handoff) ? phrases.handoff : DEFAULT_INTENT_PHRASES.handoff,
+    negative: Array.isArray(phrases.negative) ? phrases.negative : DEFAULT_INTENT_PHRASES.negative
+  };
+}
+
+// Apostrophes are dropped rather than split on, so "can't" stays one word
+function normalize(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Sentence punctuation (incl. Urdu ۔ ، ؟) ends a clause; each clause is a list of words
+function splitClauses(text) {
+  return (text || '')
+    .split(/[.!?,;:\n؟۔،]+/)
+    .map(clause => normalize(clause))
+    .filter(Boolean)
+    .map(clause => clause.split(' '));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+// Words that may follow a phrase in the same clause: English filler and
+// the Urdu/Roman Urdu verb endings that complete "... se baat"
+const TRAILING_WORDS = new Set([
+  'please', 'pls', 'plz', 'now', 'right', 'asap', 'immediately', 'urgently', 'today',
+  'thanks', 'thank', 'you', 'sir', 'madam', 'maam',
+  'karni', 'karna', 'karao', 'karwao', 'karwa', 'krni', 'krna', 'krwao', 'hai', 'he', 'ha', 'hain',
+  'chahiye', 'chahta', 'chahti', 'chahte', 'do', 'dein',
+  ...['کرنی', 'کرنا', 'کرائیں', 'کروائیں', 'کراؤ', 'کرواؤ', 'ہے', 'ہیں', 'چاہیے', 'چاہتا', 'چاہتی', 'چاہتے', 'دیں'].map(normalize)
+]);
+
+// English negations come before the phrase in the same clause; Urdu ones
+// follow the verb, and a refusal can follow in the next clause
+const NEGATIONS_BEFORE = new Set([
+  'no', 'not', 'never', 'dont', 'doesnt', 'didnt', 'cant', 'cannot', 'wont', 'wouldnt',
+  'shouldnt', 'neednt', 'without'
+]);
+const NEGATIONS_AFTER = new Set(['nahi', 'nahin', 'nai', 'na', 'mat', normalize('نہیں'), normalize('مت')]);
+const NEGATION_PHRASES_AFTER = ['no thanks', 'no thank you', 'no need', 'not now', 'never mind'];
+const NEGATION_WINDOW_BEFORE = 4;
+const NEGATION_WINDOW_AFTER = 2;
+
+function isNegated(clauses, clauseIndex, start, size) {
+  const words = clauses[clauseIndex];
+  const before = words.slice(Math.max(0, start - NEGATION_WINDOW_BEFORE), start);
+  const after = [...words.slice(start + size), ...clauses.slice(clauseIndex + 1).flat()];
+  const following = ` ${after.join(' ')} `;
+
+  return before.some(word => NEGATIONS_BEFORE.has(word)) ||
+    after.slice(0, NEGATION_WINDOW_AFTER).some(word => NEGATIONS_AFTER.has(word)) ||
+    NEGATION_PHRASES_AFTER.some(phrase => following.startsWith(` ${phrase} `));
+}
+
+// Best score of `phrase` against any same-length run of words that ends its
+// clause and is not negated
+function phraseScore(clauses, phrase) {
+  const size = phrase.split(' ').length;
+  let best = 0;
+  clauses.forEach((words, clauseIndex) => {
+    for (let i = 0; i + size <= words.length; i++) {
+      if (!words.slice(i + size).every(word => TRAILING_WORDS.has(word))) {
+        continue;
+      }
+      const score = similarity(words.slice(i, i + size).join(' '), phrase);
+      if (score > best && !isNegated(clauses, clauseIndex, i, size)) {
+        best = score;
+      }
+    }
+  });
+  return best;
+}
+
+function createIntentDetector({ phrases = DEFAULT_INTENT_PHRASES, threshold = 0.85 } = {}) {
+  const prepared = Object.entries(phrases).map(([intent, list]) => ({
+    intent,
+    phrases: list.map(phrase => ({ original: phrase, normalized: normalize(phrase) })).filter(p => p.normalized)
+  }));
+
+  // Returns { intent, phrase, score } for the best match above threshold, or null
+  function detect(message) {
+    const clauses = splitClauses(message);
+    if (!clauses.length) return null;
+
+    let best = null;
+
+    for (const { intent, phrases: list } of prepared) {
+      for (const phrase of list) {
+        const score = phraseScore(clauses, phrase.normalized);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { intent, phrase: phrase.original, score: Math.round(score * 100) / 100 };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  return { detect };
+}
+
+module.exports = {
+  DEFAULT_INTENT_PHRASES,
+  loadIntentPhrases,
+  createIntentDetector
+};
@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { createRedactor, parseRedactOptions, REDACT_OPTIONS } = require('./redact');
+
+// ============================================================
+// Logger
+// - log(emoji, message, data) as before; the level comes from the
+//   emoji (❌/💥 error, ⚠️ warn, 📋/🔍 debug, everything else info)
+//   or use log.debug/info/warn/error(message, data).
+// - `pretty` prints the familiar emoji lines, `json` one object per line.
+// - Every line carries the correlation/conversation IDs of the current
+//   async context (see withContext), so one webhook can be followed
+//   through queues, model runs and Freshchat calls.
+// - Messages and data pass through the redactor before printing.
+// ============================================================
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['pretty', 'json'];
+
+const EMOJI_LEVELS = {
+  '❌': 'error',
+  '💥': 'error',
+  '⚠️': 'warn',
+  '📋': 'debug',
+  '🔍': 'debug'
+};
+
+const storage = new AsyncLocalStorage();
+
+let settings = {
+  level: 'info',
+  format: 'pretty',
+  redactor: createRedactor(parseRedactOptions(REDACT_OPTIONS.join(',')))
+};
+
+function serialize(data) {
+  if (data instanceof Error) {
+    return { message: data.message, stack: data.stack };
+  }
+  return data;
+}
+
+function write(level, emoji, message, data) {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  const { redactor } = settings;
+  const context = storage.getStore() || {};
+  const text = redactor.redactString(String(message));
+  const payload = data === null || data === undefined ? undefined : redactor.redact(serialize(data));
+  const stream = level === 'error' ? console.error : console.log;
+
+  if (settings.format === 'json') {
+    // Separator lines only make sense in pretty output
+    if (/^[═=─-]+$/.test(text)) {
+      return;
+    }
+    stream(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: text,
+      emoji: emoji || undefined,
+      correlation_id: context.correlation_id,
+      conversation_id: context.conversation_id,
+      data: payload
+    }));
+    return;
+  }
+
+  const tag = context.correlation_id ? ` [${context.correlation_id.slice(0, 8)}]` : '';
+  stream(`[${new Date().toISOString()}]${tag} ${emoji || level.toUpperCase()} ${text}`);
+  if (payload !== undefined) stream(JSON.stringify(payload, null, 2));
+}
+
+function log(emoji, message, data = null) {
+  write(EMOJI_LEVELS[emoji] || 'info', emoji, message, data);
+}
+
+for (const level of Object.keys(LEVELS)) {
+  log[level] = (message, data = null) => write(level, null, message, data);
+}
+
+// Called once from server.js with the LOG_* settings
+log.configure = ({ level = settings.level, format = settings.format, redact } = {}) => {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+  }
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown LOG_FORMAT "${format}" (use ${FORMATS.join(', ')})`);
+  }
+  settings = {
+    level,
+    format,
+    redactor: redact ? createRedactor(redact) : settings.redactor
+  };
+};
+
+// Runs `fn` with extra context fields (correlation_id, conversation_id)
+// that stick to every log line written from it, across awaits and timers
+log.withContext = (fields, fn) => storage.run({ ...storage.getStore(), ...fields }, fn);
+
+// Adds fields to the current context once they are known (e.g. the
+// conversation ID after the webhook has been parsed)
+log.annotate = fields => {
+  const context = storage.getStore();
+  if (context) Object.assign(context, fields);
+};
+
+log.context = () => ({ ...storage.getStore() });
+
+log.newCorrelationId = () => crypto.randomUUID();
+
+// For user or assistant text interpolated into a message
+log.text = text => settings.redactor.redactText(text);
+
+// Same redaction as the log output, for payloads kept elsewhere
+log.redact = value => settings.redactor.redact(value);
+
+module.exports = log;
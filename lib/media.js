@@ -0,0 +1,83 @@
+const axios = require('axios');
+const path = require('path');
+
+// ============================================================
+// Download media attached to Freshchat messages
+// ============================================================
+const MIME_BY_EXTENSION = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4'
+};
+
+// Accepts a URL or a plain filename
+function guessMimeType(urlOrName, fallback = 'application/octet-stream') {
+  let pathname = urlOrName || '';
+  try {
+    pathname = new URL(urlOrName).pathname;
+  } catch (error) {
+    // not a URL — use as a filename
+  }
+  return MIME_BY_EXTENSION[path.extname(pathname).toLowerCase()] || fallback;
+}
+
+function filenameFromUrl(url, fallback) {
+  try {
+    return path.basename(new URL(url).pathname) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Throws with code MEDIA_TOO_LARGE when the file exceeds maxBytes,
+// so callers can tell "too big" apart from network failures.
+async function downloadMedia(url, { maxBytes, timeout = 15000, filename, mimeType } = {}) {
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout,
+      maxContentLength: maxBytes,
+      maxBodyLength: maxBytes
+    });
+
+    const buffer = Buffer.from(response.data);
+    const headerType = (response.headers['content-type'] || '').split(';')[0].trim();
+
+    return {
+      buffer,
+      size: buffer.length,
+      mimeType: mimeType || (headerType && headerType !== 'application/octet-stream'
+        ? headerType
+        : guessMimeType(filename, guessMimeType(url))),
+      filename: filename || filenameFromUrl(url, 'attachment')
+    };
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) {
+      const tooLarge = new Error(`Media exceeds ${maxBytes} bytes`);
+      tooLarge.code = 'MEDIA_TOO_LARGE';
+      throw tooLarge;
+    }
+    throw error;
+  }
+}
+
+function toDataUrl({ buffer, mimeType }) {
+  return `data:${mimeType};base64,${buffer.toString('base64')}`;
+}
+
+module.exports = {
+  downloadMedia,
+  guessMimeType,
+  toDataUrl
+};
@@ -0,0 +1,126 @@
+const log = require('./log');
+
+// ============================================================
+// Thread lifecycle — threads (or chat histories) are rotated once
+// they have been idle for `maxIdleMs` or reached `maxTurns`. Before
+// the old one is retired, it is summarised and merged into the
+// conversation's long-term memory, which the provider then passes to
+// the model as context on the new thread.
+// Every retirement (rotation, escalation, manual reset) goes through
+// retire() so cleanup and summarising happen the same way. With
+// `enabled` false threads still rotate, just without a summary.
+// ============================================================
+const SUMMARY_INSTRUCTIONS = 'You maintain short notes about a customer of an education provider, ' +
+  'used as background by the support assistant in later chats. Merge the previous notes with the new ' +
+  'conversation into at most 8 bullet points: who the user is, courses/exams/papers they asked about, ' +
+  'details they shared (name, city, level), decisions or next steps, and any unresolved questions. ' +
+  'Leave out greetings and small talk. Reply with the bullet points only.';
+
+const TRANSCRIPT_LIMIT = 50;
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+function formatTranscript(messages) {
+  const lines = messages.map(({ role, text }) => `${role === 'assistant' ? 'Assistant' : 'User'}: ${text}`);
+  let transcript = lines.join('\n');
+  // Keep the most recent part if the thread was very long
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    transcript = transcript.slice(-MAX_TRANSCRIPT_CHARS);
+  }
+  return transcript;
+}
+
+function createThreadLifecycle({ openai, store, llm, model, enabled = true, maxIdleMs = 0, maxTurns = 0 }) {
+  async function summarise(conversationId, previousSummary) {
+    const transcript = await llm.getTranscript(conversationId, TRANSCRIPT_LIMIT);
+    if (!transcript.length) {
+      return previousSummary;
+    }
+
+    const completion = await openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: `Previous notes:\n${previousSummary || '(none)'}\n\nNew conversation:\n${formatTranscript(transcript)}`
+        }
+      ],
+      max_tokens: 400
+    });
+
+    return completion.choices[0].message.content?.trim() || previousSummary;
+  }
+
+  // Why the current thread should be rotated, or null
+  async function rotationReason(conversationId) {
+    const state = await llm.getConversationState(conversationId);
+    if (!state) {
+      return null;
+    }
+
+    const idleMs = Date.now() - Date.parse(state.updatedAt);
+    if (maxIdleMs && idleMs >= maxIdleMs) {
+      return `idle for ${Math.round(idleMs / 3600000)}h`;
+    }
+    if (maxTurns && state.turns >= maxTurns) {
+      return `${state.turns} turns`;
+    }
+    return null;
+  }
+
+  // Summarise (when enabled) then clean up the thread. A failed summary
+  // never blocks the cleanup — the previous memory is simply kept.
+  async function retire(conversationId, { reason = null, summarise: withSummary = enabled } = {}) {
+    if (withSummary) {
+      try {
+        const previous = await store.getMemory(conversationId);
+        const summary = await summarise(conversationId, previous?.summary || null);
+        if (summary) {
+          await store.setMemory(conversationId, summary, { reason });
+          log('🧠', `Saved memory for conversation ${conversationId} (${reason || 'retired'})`);
+        }
+      } catch (error) {
+        log('⚠️', `Could not summarise thread for ${conversationId}: ${error.message}`);
+      }
+    }
+
+    return llm.reset(conversationId);
+  }
+
+  return {
+    // Before each turn: rotate if due, then return the memory to send along
+    async prepare(conversationId) {
+      const reason = await rotationReason(conversationId);
+      if (reason) {
+        log('🔁', `Rotating thread for conversation ${conversationId} (${reason})`);
+        await retire(conversationId, { reason: `rotation: ${reason}` });
+      }
+
+      if (!enabled) {
+        return null;
+      }
+      const memory = await store.getMemory(conversationId);
+      return memory?.summary || null;
+    },
+
+    retire,
+
+    async forget(conversationId) {
+      return store.deleteMemory(conversationId);
+    },
+
+    config() {
+      return {
+        enabled,
+        max_idle_hours: maxIdleMs ? maxIdleMs / 3600000 : null,
+        max_turns: maxTurns || null,
+        summary_model: model
+      };
+    }
+  };
+}
+
+module.exports = {
+  createThreadLifecycle,
+  formatTranscript
+};
@@ -0,0 +1,67 @@
+// ============================================================
+// Split long replies into several messages.
+// WhatsApp rejects text over 4096 characters, and very long bubbles
+// are hard to read anyway. Breaks are made at the largest boundary
+// that fits: paragraphs, then lines (bullets), then sentences, then
+// words; a single over-long word is cut as a last resort.
+// ============================================================
+const BOUNDARIES = [
+  { pattern: /\n{2,}/, separator: '\n\n' },      // paragraphs
+  { pattern: /\n/, separator: '\n' },             // lines — keeps bullets whole
+  { pattern: /(?<=[.!?])\s+/, separator: ' ' },   // sentences
+  { pattern: /\s+/, separator: ' ' }              // words
+];
+
+function hardCut(text, maxLength) {
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxLength) {
+    pieces.push(text.slice(i, i + maxLength));
+  }
+  return pieces;
+}
+
+// Greedily packs `pieces` (joined by `separator`) into chunks <= maxLength
+function pack(pieces, separator, maxLength) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    const candidate = current ? `${current}${separator}${piece}` : piece;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+    } else {
+      if (current) chunks.push(current);
+      current = piece;
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+function splitAt(text, maxLength, level) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+  if (level >= BOUNDARIES.length) {
+    return hardCut(text, maxLength);
+  }
+
+  const { pattern, separator } = BOUNDARIES[level];
+  const pieces = text.split(pattern)
+    .map(piece => piece.trim())
+    .filter(Boolean)
+    .flatMap(piece => splitAt(piece, maxLength, level + 1));
+
+  return pack(pieces, separator, maxLength);
+}
+
+// Returns the chunks in reading order; text that fits comes back as [text]
+function splitMessage(text, maxLength = 4096) {
+  if (!text) {
+    return [];
+  }
+  return splitAt(text.trim(), maxLength, 0);
+}
+
+module.exports = { splitMessage };
@@ -0,0 +1,123 @@
+// ============================================================
+// Minimal Prometheus metrics — counters, histograms and gauges
+// rendered in the text exposition format for GET /metrics.
+// Gauges read their value at scrape time through `collect`.
+// ============================================================
+const DEFAULT_BUCKETS = [0.5, 1, 2, 3, 5, 8, 13, 20, 30, 45, 60, 90];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(labels, extra = []) {
+  const all = [...Object.entries(labels), ...extra];
+  return all.length ? `{${all.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push({ ...metric, name: `${prefix}${metric.name}` });
+    return metric.api;
+  }
+
+  function counter(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: 'counter',
+      api: {
+        inc(labels = {}, value = 1) {
+          const key = labelKey(labels);
+          series.set(key, (series.get(key) || 0) + value);
+        }
+      },
+      lines: fullName => [...series].map(([key, value]) => `${fullName}${formatLabels(Object.fromEntries(JSON.parse(key)))} ${value}`)
+    });
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const series = new Map();
+
+    function observe(labels = {}, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+
+    // Returns a function that records the elapsed seconds when called
+    function startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    }
+
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      api: { observe, startTimer },
+      lines: fullName => [...series].flatMap(([key, { counts, sum, count }]) => {
+        const labels = Object.fromEntries(JSON.parse(key));
+        return [
+          ...buckets.map((bound, i) => `${fullName}_bucket${formatLabels(labels, [['le', bound]])} ${counts[i]}`),
+          `${fullName}_bucket${formatLabels(labels, [['le', '+Inf']])} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${sum}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`
+        ];
+      })
+    });
+  }
+
+  // `collect` is async and returns a number
+  function gauge(name, help, collect) {
+    let value = 0;
+    return register({
+      name,
+      help,
+      type: 'gauge',
+      collect: async () => {
+        value = await collect();
+      },
+      api: {},
+      lines: fullName => [`${fullName} ${value}`]
+    });
+  }
+
+  async function render() {
+    const output = [];
+    for (const metric of metrics) {
+      if (metric.collect) {
+        try {
+          await metric.collect();
+        } catch (error) {
+          // Keep the last value; a flaky store must not break the scrape
+        }
+      }
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines(metric.name));
+    }
+    return `${output.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,312 @@
+const log = require('../log');
+const { uploadConversationFile, deleteConversationFiles } = require('./files');
+
+// ============================================================
+// Assistants API provider — OpenAI threads hold the history,
+// we only keep the conversation → thread mapping in the store.
+// Runs are streamed by default with polling as fallback.
+// ============================================================
+const TERMINAL_RUN_STATUSES = ['completed', 'failed', 'expired', 'cancelled', 'incomplete'];
+
+// Document types file_search can read
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/markdown'
+];
+
+function memoryInstructions(memory) {
+  return `Summary of earlier conversations with this user (for context only; do not repeat it back):\n${memory}`;
+}
+
+function isToolCallRun(run) {
+  return run.status === 'requires_action' && run.required_action?.type === 'submit_tool_outputs';
+}
+
+function createAssistantsProvider({
+  openai,
+  assistantId,
+  store,
+  toolRegistry,
+  events,
+  runMode = 'stream',
+  runTimeoutMs = 60000,
+  pollInitialMs = 250,
+  pollMaxMs = 2000
+}) {
+  // Function calling: run our handlers for the run's pending tool calls
+  async function runRequiredTools(threadId, run, context) {
+    const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+    log('🔧', `Assistant requested ${toolCalls.length} tool call(s): ${toolCalls.map(c => c.function.name).join(', ')}`);
+    return toolRegistry.execute(toolCalls, { ...context, threadId });
+  }
+
+  // A timed-out run would keep the thread locked ("run is active") for the
+  // next message and may still call tools, so it is cancelled
+  async function cancelRun(threadId, runId) {
+    try {
+      await openai.beta.threads.runs.cancel(threadId, runId);
+      log('🛑', `Cancelled timed-out run ${runId}`);
+    } catch (error) {
+      log('⚠️', `Could not cancel run ${runId}: ${error.message}`);
+    }
+  }
+
+  // Streams run events; text starts arriving without waiting for a poll tick.
+  // Tool calls end the stream in requires_action — outputs are submitted
+  // through a new stream and we keep following it. The deadline covers the
+  // whole run: the timer aborts whichever stream is current, and no new
+  // stream is opened once it has passed (e.g. during a slow tool).
+  async function runWithStreaming(threadId, runParams, context, runState, deadline) {
+    const startedAt = Date.now();
+    let firstToken = false;
+    let stream = openai.beta.threads.runs.stream(threadId, runParams);
+
+    const timer = setTimeout(() => {
+      runState.timedOut = true;
+      stream.abort();
+    }, Math.max(0, deadline - Date.now()));
+
+    try {
+      while (true) {
+        stream
+          .on('event', ({ event, data }) => {
+            if (event === 'thread.run.created') {
+              runState.runId = data.id;
+              log('⏳', `Streaming assistant response (run: ${data.id})...`);
+            }
+          })
+          .on('textDelta', () => {
+            if (firstToken) return;
+            firstToken = true;
+            const latencyMs = Date.now() - startedAt;
+            log('⚡', `First token after ${latencyMs}ms`);
+            events.emit('first_token', { ...context, threadId, runId: runState.runId, latencyMs });
+          });
+
+        const run = await stream.finalRun();
+
+        if (!isToolCallRun(run)) {
+          return run;
+        }
+
+        const toolOutputs = await runRequiredTools(threadId, run, context);
+        if (runState.timedOut || Date.now() >= deadline) {
+          runState.timedOut = true;
+          throw new Error('Run deadline passed while tools were running');
+        }
+        stream = openai.beta.threads.runs.submitToolOutputsStream(threadId, run.id, {
+          tool_outputs: toolOutputs
+        });
+      }
+    } catch (error) {
+      if (runState.timedOut) {
+        if (runState.runId) {
+          await cancelRun(threadId, runState.runId);
+        }
+        throw new Error(`Assistant timeout after ${Math.round(runTimeoutMs / 1000)}s (streaming)`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Polls run status with exponential backoff until it is terminal or the deadline passes
+  async function pollRun(threadId, runId, context, deadline) {
+    let delay = pollInitialMs;
+    let run = await openai.beta.threads.runs.retrieve(threadId, runId);
+    log('⏳', `Polling for assistant response (run: ${runId})...`);
+
+    while (!TERMINAL_RUN_STATUSES.includes(run.status)) {
+      if (isToolCallRun(run)) {
+        const toolOutputs = await runRequiredTools(threadId, run, context);
+        run = await openai.beta.threads.runs.submitToolOutputs(threadId, runId, {
+          tool_outputs: toolOutputs
+        });
+        delay = pollInitialMs;
+        continue;
+      }
+
+      if (Date.now() + delay > deadline) {
+        await cancelRun(threadId, runId);
+        throw new Error(`Assistant timeout after ${Math.round(runTimeoutMs / 1000)}s (status: ${run.status})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay = Math.min(Math.round(delay * 1.5), pollMaxMs);
+      run = await openai.beta.threads.runs.retrieve(threadId, runId);
+    }
+
+    return run;
+  }
+
+  // `memory` (summary of earlier threads) rides along as extra run instructions
+  async function executeRun(threadId, context, memory) {
+    const deadline = Date.now() + runTimeoutMs;
+    const runParams = {
+      assistant_id: assistantId,
+      ...(memory ? { additional_instructions: memoryInstructions(memory) } : {})
+    };
+
+    if (runMode === 'stream') {
+      const runState = { runId: null, timedOut: false };
+      try {
+        return await runWithStreaming(threadId, runParams, context, runState, deadline);
+      } catch (error) {
+        if (runState.timedOut) {
+          throw error;
+        }
+        log('⚠️', `Streaming failed (${error.message}) — falling back to polling`);
+
+        // The run already exists if the stream broke mid-way; follow it instead of starting another
+        if (runState.runId) {
+          return pollRun(threadId, runState.runId, context, deadline);
+        }
+      }
+    }
+
+    const run = await openai.beta.threads.runs.create(threadId, runParams);
+    return pollRun(threadId, run.id, context, deadline);
+  }
+
+  // Images go up as vision files and are referenced from the user message
+  async function buildContent(conversationId, message, images) {
+    if (!images.length) {
+      return message;
+    }
+
+    const content = [{ type: 'text', text: message }];
+    for (const image of images) {
+      const fileId = await uploadConversationFile(openai, store, conversationId, image, 'vision');
+      content.push({ type: 'image_file', image_file: { file_id: fileId } });
+    }
+    return content;
+  }
+
+  // Documents are attached for file_search, which indexes them into the
+  // thread's own vector store — the assistant needs File Search enabled
+  async function buildAttachments(conversationId, documents) {
+    const attachments = [];
+    for (const document of documents) {
+      const fileId = await uploadConversationFile(openai, store, conversationId, document, 'assistants');
+      attachments.push({ file_id: fileId, tools: [{ type: 'file_search' }] });
+    }
+    return attachments;
+  }
+
+  async function respond({ conversationId, message, images = [], documents = [], memory = null, context = {} }) {
+    let threadId = await store.getThread(conversationId);
+
+    if (!threadId) {
+      const thread = await openai.beta.threads.create();
+      threadId = thread.id;
+      // Saved right away so a failed first run doesn't orphan the thread
+      await store.setThread(conversationId, threadId, { countTurn: false });
+      log('🆕', `Created new thread: ${threadId}`);
+    } else {
+      log('♻️', `Using existing thread: ${threadId}`);
+    }
+
+    const attachments = await buildAttachments(conversationId, documents);
+    await openai.beta.threads.messages.create(threadId, {
+      role: 'user',
+      content: await buildContent(conversationId, message, images),
+      ...(attachments.length ? { attachments } : {})
+    });
+
+    const startedAt = Date.now();
+    const run = await executeRun(threadId, { ...context, conversationId }, memory);
+
+    if (run.status === 'failed') {
+      throw new Error(`Assistant run failed: ${run.last_error?.message}`);
+    }
+    if (run.status === 'expired') {
+      throw new Error('Assistant run expired');
+    }
+    if (run.status !== 'completed') {
+      throw new Error(`Assistant run ended with status: ${run.status}`);
+    }
+
+    log('✅', `Assistant completed in ${((Date.now() - startedAt) / 1000).toFixed(1)} seconds`);
+
+    const messages = await openai.beta.threads.messages.list(threadId);
+    const assistantMessage = messages.data
+      .filter(msg => msg.role === 'assistant')
+      .sort((a, b) => b.created_at - a.created_at)[0];
+
+    if (!assistantMessage) {
+      throw new Error('No assistant response found');
+    }
+
+    await store.setThread(conversationId, threadId);
+    log('💾', `Saved thread ${threadId} for conversation ${conversationId}`);
+
+    return {
+      text: assistantMessage.content[0].text.value,
+      threadId
+    };
+  }
+
+  // Retire the conversation's thread: drop the vector store file_search built
+  // for it, delete our uploads and forget the mapping. The next message
+  // starts a fresh thread.
+  async function reset(conversationId) {
+    const threadId = await store.getThread(conversationId);
+
+    if (threadId) {
+      try {
+        const thread = await openai.beta.threads.retrieve(threadId);
+        for (const vectorStoreId of thread.tool_resources?.file_search?.vector_store_ids || []) {
+          await openai.vectorStores.del(vectorStoreId);
+          log('🗑️', `Deleted vector store ${vectorStoreId} of thread ${threadId}`);
+        }
+      } catch (error) {
+        log('⚠️', `Could not clean up thread ${threadId}: ${error.message}`);
+      }
+    }
+
+    await deleteConversationFiles(openai, store, conversationId);
+    return store.deleteThread(conversationId);
+  }
+
+  async function getConversationState(conversationId) {
+    const record = await store.getThreadRecord(conversationId);
+    return record && { turns: record.turns || 0, createdAt: record.created_at, updatedAt: record.updated_at };
+  }
+
+  // Most recent `limit` messages of the thread, oldest first
+  async function getTranscript(conversationId, limit = 50) {
+    const threadId = await store.getThread(conversationId);
+    if (!threadId) {
+      return [];
+    }
+
+    const messages = await openai.beta.threads.messages.list(threadId, { limit, order: 'desc' });
+    return messages.data
+      .reverse()
+      .map(msg => ({
+        role: msg.role,
+        text: msg.content.filter(part => part.type === 'text').map(part => part.text.value).join('\n')
+      }))
+      .filter(msg => msg.text);
+  }
+
+  async function listConversations() {
+    return store.listThreads();
+  }
+
+  return {
+    name: 'assistants',
+    documentTypes: DOCUMENT_TYPES,
+    respond,
+    reset,
+    getConversationState,
+    getTranscript,
+    listConversations
+  };
+}
+
+module.exports = { createAssistantsProvider };
@@ -0,0 +1,170 @@
+const log = require('../log');
+const { toDataUrl } = require('../media');
+const { uploadConversationFile, deleteConversationFiles } = require('./files');
+
+// ============================================================
+// Chat Completions provider — no OpenAI-side threads. We keep
+// the user/assistant history ourselves in the state store and
+// send the system prompt + recent history on every turn.
+// ============================================================
+const MAX_TOOL_ROUNDS = 5;
+
+// Chat Completions only accepts PDFs as file input
+const DOCUMENT_TYPES = ['application/pdf'];
+
+function createChatProvider({
+  openai,
+  model,
+  systemPrompt,
+  store,
+  toolRegistry,
+  events,
+  historyLimit = 30,
+  timeoutMs = 60000
+}) {
+  if (!systemPrompt) {
+    throw new Error('Chat provider needs a system prompt (SYSTEM_PROMPT or SYSTEM_PROMPT_FILE)');
+  }
+
+  async function complete(messages, context, startedAt, firstTokenState) {
+    const tools = toolRegistry.definitions();
+    const stream = openai.beta.chat.completions.stream({
+      model,
+      messages,
+      ...(tools.length ? { tools } : {})
+    }, { timeout: timeoutMs });
+
+    stream.on('content', () => {
+      if (firstTokenState.seen) return;
+      firstTokenState.seen = true;
+      const latencyMs = Date.now() - startedAt;
+      log('⚡', `First token after ${latencyMs}ms`);
+      events.emit('first_token', { ...context, latencyMs });
+    });
+
+    const completion = await stream.finalChatCompletion();
+    return completion.choices[0].message;
+  }
+
+  // Images are sent inline as data URLs; the model must support vision
+  function buildContent(message, images, documentParts) {
+    if (!images.length && !documentParts.length) {
+      return message;
+    }
+    return [
+      { type: 'text', text: message },
+      ...images.map(image => ({ type: 'image_url', image_url: { url: toDataUrl(image) } })),
+      ...documentParts
+    ];
+  }
+
+  // Documents are uploaded once and referenced by file ID, so they stay
+  // readable on later turns through the stored history
+  async function uploadDocuments(conversationId, documents) {
+    const parts = [];
+    for (const document of documents) {
+      const fileId = await uploadConversationFile(openai, store, conversationId, document, 'user_data');
+      parts.push({ type: 'file', file: { file_id: fileId } });
+    }
+    return parts;
+  }
+
+  async function respond({ conversationId, message, images = [], documents = [], memory = null, context = {} }) {
+    const history = await store.getHistory(conversationId);
+    log(history.length ? '♻️' : '🆕', `Chat history for ${conversationId}: ${history.length} message(s)`);
+
+    const turnContext = { ...context, conversationId };
+    const documentParts = await uploadDocuments(conversationId, documents);
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...(memory ? [{
+        role: 'system',
+        content: `Summary of earlier conversations with this user (for context only; do not repeat it back):\n${memory}`
+      }] : []),
+      ...history,
+      { role: 'user', content: buildContent(message, images, documentParts) }
+    ];
+
+    const startedAt = Date.now();
+    const firstTokenState = { seen: false };
+    let reply = await complete(messages, turnContext, startedAt, firstTokenState);
+
+    // Tool calls: run them, append the results and ask again
+    for (let round = 0; reply.tool_calls?.length; round++) {
+      if (round >= MAX_TOOL_ROUNDS) {
+        throw new Error(`Model kept calling tools after ${MAX_TOOL_ROUNDS} rounds`);
+      }
+
+      log('🔧', `Model requested ${reply.tool_calls.length} tool call(s): ${reply.tool_calls.map(c => c.function.name).join(', ')}`);
+      const outputs = await toolRegistry.execute(reply.tool_calls, turnContext);
+
+      messages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+      for (const { tool_call_id, output } of outputs) {
+        messages.push({ role: 'tool', tool_call_id, content: output });
+      }
+
+      reply = await complete(messages, turnContext, startedAt, firstTokenState);
+    }
+
+    if (!reply.content) {
+      throw new Error('No assistant response found');
+    }
+
+    log('✅', `Model (${model}) completed in ${((Date.now() - startedAt) / 1000).toFixed(1)} seconds`);
+
+    // Only plain user/assistant turns are kept — tool messages are per-turn,
+    // and images are replaced by a marker so the stored history stays small
+    const storedText = images.length
+      ? `${message}\n[${images.length} image(s) attached]`
+      : message;
+    const storedMessage = buildContent(storedText, [], documentParts);
+    const updated = [
+      ...history,
+      { role: 'user', content: storedMessage },
+      { role: 'assistant', content: reply.content }
+    ].slice(-historyLimit);
+
+    await store.setHistory(conversationId, updated);
+    log('💾', `Saved ${updated.length} history message(s) for conversation ${conversationId}`);
+
+    return { text: reply.content, threadId: null };
+  }
+
+  async function reset(conversationId) {
+    await deleteConversationFiles(openai, store, conversationId);
+    return store.deleteHistory(conversationId);
+  }
+
+  async function getConversationState(conversationId) {
+    const record = await store.getHistoryRecord(conversationId);
+    return record && { turns: record.turns || 0, createdAt: record.created_at, updatedAt: record.updated_at };
+  }
+
+  async function getTranscript(conversationId, limit = 50) {
+    const history = await store.getHistory(conversationId);
+    return history.slice(-limit)
+      .map(msg => ({
+        role: msg.role,
+        text: typeof msg.content === 'string'
+          ? msg.content
+          : msg.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+      }))
+      .filter(msg => msg.text);
+  }
+
+  async function listConversations() {
+    return store.listHistories();
+  }
+
+  return {
+    name: 'chat',
+    documentTypes: DOCUMENT_TYPES,
+    respond,
+    reset,
+    getConversationState,
+    getTranscript,
+    listConversations
+  };
+}
+
+module.exports = { createChatProvider };
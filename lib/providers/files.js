@@ -0,0 +1,53 @@
+const { toFile } = require('openai');
+const log = require('../log');
+
+// ============================================================
+// OpenAI file uploads made on behalf of a conversation.
+// Every upload is recorded in the state store so the files can be
+// deleted when the conversation's thread/history is retired.
+// ============================================================
+async function uploadConversationFile(openai, store, conversationId, attachment, purpose) {
+  const file = await openai.files.create({
+    file: await toFile(attachment.buffer, attachment.filename, { type: attachment.mimeType }),
+    purpose
+  });
+
+  await store.addFiles(conversationId, [{
+    file_id: file.id,
+    filename: attachment.filename,
+    purpose,
+    uploaded_at: new Date().toISOString()
+  }]);
+
+  log('📎', `Uploaded ${attachment.filename} (${attachment.size} bytes, ${purpose}) as ${file.id}`);
+  return file.id;
+}
+
+async function deleteConversationFiles(openai, store, conversationId) {
+  const files = await store.listFiles(conversationId);
+  if (!files.length) {
+    return 0;
+  }
+
+  let deleted = 0;
+  for (const { file_id } of files) {
+    try {
+      await openai.files.del(file_id);
+      deleted++;
+    } catch (error) {
+      // Already gone is fine; anything else is logged and left for manual cleanup
+      if (error.status !== 404) {
+        log('⚠️', `Failed to delete OpenAI file ${file_id}: ${error.message}`);
+      }
+    }
+  }
+
+  await store.deleteFiles(conversationId);
+  log('🗑️', `Deleted ${deleted}/${files.length} uploaded file(s) for conversation ${conversationId}`);
+  return deleted;
+}
+
+module.exports = {
+  uploadConversationFile,
+  deleteConversationFiles
+};
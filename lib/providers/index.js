@@ -0,0 +1,26 @@
+const { createAssistantsProvider } = require('./assistants');
+const { createChatProvider } = require('./chat');
+
+// ============================================================
+// LLM providers share one interface:
+//   respond({ conversationId, message, images, documents, memory, context }) -> { text, threadId }
+//     images/documents: [{ buffer, mimeType, filename, size }] downloaded attachments
+//     memory: summary of earlier (rotated) threads, passed to the model as context
+//   documentTypes                — MIME types the provider can read as documents
+//   reset(conversationId)        — retire the conversation's history/thread and uploads
+//   getConversationState(conversationId) -> { turns, createdAt, updatedAt } | null
+//   getTranscript(conversationId, limit) -> [{ role, text }] oldest first
+//   listConversations()          — for debug endpoints
+// ============================================================
+function createLLMProvider(name, options) {
+  switch (name) {
+    case 'assistants':
+      return createAssistantsProvider(options);
+    case 'chat':
+      return createChatProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected assistants or chat)`);
+  }
+}
+
+module.exports = { createLLMProvider };
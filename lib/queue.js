@@ -0,0 +1,90 @@
+const log = require('./log');
+
+// ============================================================
+// Per-conversation work queue
+// - Only one task runs at a time per conversation, so a thread
+//   never has two assistant runs in flight.
+// - Messages that arrive within `debounceMs` of each other are
+//   coalesced into a single turn (capped at `maxWaitMs` after the
+//   first one). Anything that arrives while a turn is still
+//   waiting for its slot is folded into that same turn.
+// ============================================================
+function createConversationQueue({ handler, debounceMs = 2500, maxWaitMs = 10000 }) {
+  const pending = new Map();
+  const chains = new Map();
+  const stats = {
+    messages_enqueued: 0,
+    turns_processed: 0,
+    messages_coalesced: 0
+  };
+
+  // Chain `task` after whatever is already running for the conversation
+  function runExclusive(conversationId, task) {
+    const previous = chains.get(conversationId) || Promise.resolve();
+    const result = previous.then(() => task());
+    const tail = result.catch(() => {});
+
+    chains.set(conversationId, tail);
+    tail.then(() => {
+      if (chains.get(conversationId) === tail) {
+        chains.delete(conversationId);
+      }
+    });
+
+    return result;
+  }
+
+  function schedule(conversationId) {
+    const entry = pending.get(conversationId);
+    entry.scheduled = true;
+
+    runExclusive(conversationId, async () => {
+      // Take the batch only once it is our turn — late arrivals are included
+      pending.delete(conversationId);
+      const { messages } = entry;
+
+      stats.turns_processed++;
+      stats.messages_coalesced += messages.length - 1;
+
+      if (messages.length > 1) {
+        log('🧺', `Coalesced ${messages.length} messages into one turn for conversation ${conversationId}`);
+      }
+
+      await handler(conversationId, messages);
+    }).catch(error => log('❌', `Queued turn failed for conversation ${conversationId}: ${error.message}`));
+  }
+
+  function enqueue(conversationId, message) {
+    stats.messages_enqueued++;
+
+    let entry = pending.get(conversationId);
+    if (!entry) {
+      entry = { messages: [], firstAt: Date.now(), timer: null, scheduled: false };
+      pending.set(conversationId, entry);
+    }
+
+    entry.messages.push(message);
+
+    if (entry.scheduled) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    const wait = Math.max(0, Math.min(debounceMs, entry.firstAt + maxWaitMs - Date.now()));
+    entry.timer = setTimeout(() => schedule(conversationId), wait);
+  }
+
+  return {
+    enqueue,
+    runExclusive,
+    stats: () => ({
+      ...stats,
+      pending_conversations: pending.size,
+      active_conversations: chains.size,
+      debounce_ms: debounceMs,
+      max_wait_ms: maxWaitMs
+    })
+  };
+}
+
+module.exports = { createConversationQueue };
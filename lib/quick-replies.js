@@ -0,0 +1,105 @@
+const log = require('./log');
+
+// ============================================================
+// Quick replies — choices the assistant offers under its reply
+// (e.g. "ACCA / CIMA / Talk to human").
+// Up to `maxButtons` options go out as Freshchat quick-reply buttons
+// (WhatsApp allows 3); longer sets are sent as a numbered list. The
+// offered choices are kept per conversation so the user's tap, the
+// option number or its label can be mapped back to the payload.
+// ============================================================
+
+// Same pattern as escalate_to_human: the handler only flags the turn
+// through `context.signals`. Add the definition to the assistant in the
+// OpenAI dashboard when using the Assistants provider.
+function registerQuickReplyTool(registry, { maxOptions = 10 } = {}) {
+  registry.register('offer_choices', {
+    description: 'Show the user a short set of choices they can tap instead of typing, e.g. the courses ' +
+      'they can ask about. Still write your reply text; the choices are shown under it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        options: {
+          type: 'array',
+          maxItems: maxOptions,
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', description: 'Button text (max 20 characters)' },
+              payload: { type: 'string', description: 'Message you receive when the user picks it (defaults to the label)' }
+            },
+            required: ['label']
+          }
+        }
+      },
+      required: ['options']
+    },
+    handler: async ({ options }, context) => {
+      const choices = normalizeChoices(options).slice(0, maxOptions);
+      if (!choices.length) {
+        return { error: 'No usable options' };
+      }
+      if (context.signals) {
+        context.signals.choices = choices;
+      }
+      log('🔘', `Assistant offered ${choices.length} choice(s): ${choices.map(c => c.label).join(' / ')}`);
+      return { shown: choices.length };
+    }
+  });
+}
+
+function normalizeChoices(options) {
+  return (options || [])
+    .map(option => (typeof option === 'string' ? { label: option } : option))
+    .filter(option => option && option.label)
+    .map(option => ({
+      label: String(option.label).trim().slice(0, 20),
+      payload: String(option.payload || option.label).trim()
+    }));
+}
+
+// Freshchat reply_parts for quick-reply buttons
+function buildQuickReplyParts(choices) {
+  return [{
+    collection: {
+      sub_parts: choices.map(choice => ({
+        quick_reply_button: {
+          label: choice.label,
+          custom_reply_text: choice.label
+        }
+      }))
+    }
+  }];
+}
+
+function formatChoiceList(choices) {
+  return choices.map((choice, index) => `${index + 1}. ${choice.label}`).join('\n');
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+// Maps the user's reply to an offered choice: option number, label or payload
+function matchChoice(text, choices) {
+  const reply = normalizeText(text);
+  if (!reply || !choices?.length) {
+    return null;
+  }
+
+  const number = /^(\d{1,2})$/.exec(reply);
+  if (number) {
+    return choices[Number(number[1]) - 1] || null;
+  }
+
+  return choices.find(choice =>
+    normalizeText(choice.label) === reply || normalizeText(choice.payload) === reply
+  ) || null;
+}
+
+module.exports = {
+  registerQuickReplyTool,
+  buildQuickReplyParts,
+  formatChoiceList,
+  matchChoice
+};
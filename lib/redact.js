@@ -0,0 +1,101 @@
+// ============================================================
+// PII redaction for logs and stored debug payloads.
+// Each category can be switched on or off through LOG_REDACT:
+//   phone   — phone numbers in any string, and phone/mobile fields
+//   email   — email addresses in any string, and email fields
+//   name    — name and first/last/display name fields
+//   content — message text, transcripts, free-text notes/comments and
+//             media URLs
+// ============================================================
+const REDACT_OPTIONS = ['phone', 'email', 'name', 'content'];
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// 10–15 digits, optionally grouped by single spaces or dashes
+const PHONE_PATTERN = /(?<![\w:/.-])\+?\d(?:[ -]?\d){9,14}(?![\w:/.-])/g;
+
+const FIELDS = {
+  phone: /phone|mobile/i,
+  email: /email/i,
+  name: /^(name|first_name|last_name|full_name|display_name)$/i,
+  content: /^(content|text|textPreview|messagePreview|transcript|custom_reply_text|notes|comment|url)$/i
+};
+
+// IDs are never PII and long numeric ones would look like phone numbers
+const ID_FIELD = /(^|_)id$|Id$/;
+
+// "phone,email,content" → { phone: true, email: true, name: false, content: true }
+function parseRedactOptions(value) {
+  const selected = (value || '').split(',').map(o => o.trim().toLowerCase()).filter(Boolean);
+  if (selected.includes('none')) {
+    return Object.fromEntries(REDACT_OPTIONS.map(option => [option, false]));
+  }
+
+  for (const option of selected) {
+    if (!REDACT_OPTIONS.includes(option)) {
+      throw new Error(`Unknown redaction option "${option}" (use ${REDACT_OPTIONS.join(', ')} or none)`);
+    }
+  }
+  return Object.fromEntries(REDACT_OPTIONS.map(option => [option, selected.includes(option)]));
+}
+
+function createRedactor(options = {}) {
+  function redactString(text) {
+    let result = text;
+    if (options.email) {
+      result = result.replace(EMAIL_PATTERN, '[email]');
+    }
+    if (options.phone) {
+      result = result.replace(PHONE_PATTERN, '[phone]');
+    }
+    return result;
+  }
+
+  // Message text keeps its length so logs still show that something was said
+  function redactText(text) {
+    if (!options.content || typeof text !== 'string' || !text) {
+      return text;
+    }
+    return `[${text.length} chars]`;
+  }
+
+  function redactField(key, value) {
+    if (typeof value !== 'string' || !key) {
+      return null;
+    }
+    if (options.content && FIELDS.content.test(key)) {
+      return redactText(value);
+    }
+    for (const option of ['phone', 'email', 'name']) {
+      if (options[option] && FIELDS[option].test(key)) {
+        return '[redacted]';
+      }
+    }
+    return null;
+  }
+
+  // Returns a redacted copy; the input is left untouched
+  function redact(value, key = null) {
+    if (typeof value === 'string') {
+      const masked = redactField(key, value);
+      if (masked !== null) {
+        return masked;
+      }
+      return key && ID_FIELD.test(key) ? value : redactString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, key));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    return value;
+  }
+
+  return { redact, redactText, redactString };
+}
+
+module.exports = {
+  REDACT_OPTIONS,
+  parseRedactOptions,
+  createRedactor
+};
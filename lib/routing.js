@@ -0,0 +1,114 @@
+const fs = require('fs');
+const log = require('./log');
+
+// ============================================================
+// Escalation routing — picks the Freshchat group/agent that takes
+// over a conversation. Rules are checked in order; the first one
+// whose team, keywords or channel match wins, otherwise the default
+// route applies. Keywords match whole words or phrases only ("fee" does
+// not route "feedback" or "coffee"), so list plurals separately.
+//
+// ESCALATION_ROUTES_FILE (JSON):
+// {
+//   "default": { "group_id": "...", "agent_id": "..." },
+//   "rules": [
+//     { "name": "finance", "teams": ["finance"], "keywords": ["fee", "fees", "refund"],
+//       "channels": ["<channel id>"], "group_id": "...", "agent_id": null }
+//   ]
+// }
+// ============================================================
+function loadRoutingTable(filePath) {
+  if (!filePath) {
+    return { rules: [] };
+  }
+
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const rules = Array.isArray(table.rules) ? table.rules : [];
+
+  rules.forEach((rule, index) => {
+    if (!rule.group_id && !rule.agent_id) {
+      throw new Error(`Escalation route ${rule.name || index} needs a group_id or agent_id`);
+    }
+  });
+
+  log('📋', `Loaded ${rules.length} escalation route(s) from ${filePath}`);
+  return { default: table.default || {}, rules };
+}
+
+function lowerList(values) {
+  return (values || []).map(value => String(value).toLowerCase());
+}
+
+// Letters/digits in any script count as word characters, so this also
+// works for Urdu keywords where \b would not
+function keywordPattern(keyword) {
+  const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u');
+}
+
+// `defaults` ({ group_id, agent_id }) come from env and are overridden
+// by the file's "default" entry
+function createRouter({ table = { rules: [] }, defaults = {} } = {}) {
+  const defaultRoute = {
+    group_id: table.default?.group_id || defaults.group_id || null,
+    agent_id: table.default?.agent_id || defaults.agent_id || null
+  };
+
+  const rules = table.rules.map((rule, index) => ({
+    name: rule.name || `rule-${index + 1}`,
+    teams: lowerList(rule.teams),
+    keywords: lowerList(rule.keywords)
+      .filter(keyword => keyword.trim())
+      .map(keyword => ({ keyword, pattern: keywordPattern(keyword) })),
+    channels: lowerList(rule.channels),
+    group_id: rule.group_id || null,
+    agent_id: rule.agent_id || null
+  }));
+
+  // Channel lookups cost an API call, so callers only fetch it when needed
+  const usesChannels = rules.some(rule => rule.channels.length > 0);
+
+  function matchRule(rule, { team, text, channel }) {
+    if (team && rule.teams.includes(team)) {
+      return { matched_by: 'team', matched: team };
+    }
+    const keyword = rule.keywords.find(k => k.pattern.test(text));
+    if (keyword) {
+      return { matched_by: 'keyword', matched: keyword.keyword };
+    }
+    if (channel && rule.channels.includes(channel)) {
+      return { matched_by: 'channel', matched: channel };
+    }
+    return null;
+  }
+
+  // Returns { rule, matched_by, matched, group_id, agent_id }
+  function resolve({ team = null, reason = null, message = null, channel = null } = {}) {
+    const input = {
+      team: team ? String(team).toLowerCase() : null,
+      text: [reason, message].filter(Boolean).join('\n').toLowerCase(),
+      channel: channel ? String(channel).toLowerCase() : null
+    };
+
+    for (const rule of rules) {
+      const match = matchRule(rule, input);
+      if (match) {
+        return { rule: rule.name, ...match, group_id: rule.group_id, agent_id: rule.agent_id };
+      }
+    }
+
+    return { rule: 'default', matched_by: 'default', matched: null, ...defaultRoute };
+  }
+
+  return {
+    resolve,
+    usesChannels,
+    defaultRoute,
+    rules: () => rules.map(({ name, group_id, agent_id }) => ({ name, group_id, agent_id }))
+  };
+}
+
+module.exports = {
+  loadRoutingTable,
+  createRouter
+};
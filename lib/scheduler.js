@@ -0,0 +1,73 @@
+const log = require('./log');
+
+// ============================================================
+// Background scheduler — runs registered jobs on a fixed tick.
+// Jobs keep their own due dates in the state store, so nothing is
+// lost across restarts; a tick simply picks up whatever is due.
+// A job never overlaps with itself: a slow tick is skipped, not stacked.
+// ============================================================
+function createScheduler({ intervalMs = 60000 } = {}) {
+  const jobs = new Map();
+  let timer = null;
+
+  async function runJob(name, job) {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    job.lastRunAt = new Date().toISOString();
+    try {
+      // Each run gets its own correlation ID for the logs
+      await log.withContext({ correlation_id: `${name}-${log.newCorrelationId()}` }, job.fn);
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      log('❌', `Scheduled job "${name}" failed: ${error.message}`);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  async function tick() {
+    for (const [name, job] of jobs) {
+      await runJob(name, job);
+    }
+  }
+
+  return {
+    every(name, fn) {
+      jobs.set(name, { fn, running: false, lastRunAt: null, lastError: null });
+    },
+
+    start() {
+      if (timer || jobs.size === 0) {
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+      timer.unref();
+      log('⏰', `Scheduler started (${jobs.size} job(s), every ${intervalMs}ms)`);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    tick,
+
+    stats() {
+      return {
+        interval_ms: intervalMs,
+        running: Boolean(timer),
+        jobs: [...jobs].map(([name, job]) => ({
+          name,
+          last_run_at: job.lastRunAt,
+          last_error: job.lastError
+        }))
+      };
+    }
+  };
+}
+
+module.exports = { createScheduler };
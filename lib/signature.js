@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const log = require('./log');
+
+// ============================================================
+// Freshchat webhook signature verification
+// Freshchat signs the raw request body with the account's RSA
+// private key (SHA-256) and sends the base64 signature in the
+// X-Freshchat-Signature header. The public key is shown under
+// Admin → Webhooks in Freshchat.
+// ============================================================
+
+// Accepts a full PEM, a PEM with literal "\n" sequences (as env vars
+// usually store it), or just the base64 key body.
+function normalizePublicKey(key) {
+  if (!key) return null;
+
+  let pem = key.trim().replace(/\\n/g, '\n');
+
+  if (!pem.includes('-----BEGIN')) {
+    const body = pem.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+    pem = `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+  }
+
+  return pem;
+}
+
+// Values from .env.example that must never reach production
+const PLACEHOLDER_KEY = /your_\w*_here|change_me/i;
+
+// Startup check: returns the PEM, or throws when the key is a placeholder
+// or not an RSA public key (every webhook would be rejected otherwise)
+function parsePublicKey(key) {
+  if (PLACEHOLDER_KEY.test(key || '')) {
+    throw new Error('FRESHCHAT_WEBHOOK_PUBLIC_KEY still holds the .env.example placeholder');
+  }
+
+  const pem = normalizePublicKey(key);
+  try {
+    const parsed = crypto.createPublicKey(pem);
+    if (parsed.asymmetricKeyType !== 'rsa') {
+      throw new Error(`expected an RSA key, got ${parsed.asymmetricKeyType}`);
+    }
+  } catch (error) {
+    throw new Error(`FRESHCHAT_WEBHOOK_PUBLIC_KEY is not a valid public key: ${error.message}`);
+  }
+  return pem;
+}
+
+function verifyFreshchatSignature(rawBody, signature, publicKey) {
+  if (!rawBody || !signature || !publicKey) {
+    return false;
+  }
+
+  try {
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(publicKey, signature.trim(), 'base64');
+  } catch (error) {
+    log('⚠️', `Signature verification error: ${error.message}`);
+    return false;
+  }
+}
+
+// Express middleware. Needs `req.rawBody`, captured by the `verify`
+// hook of express.json() before the body is parsed.
+function requireFreshchatSignature({ enabled = true, publicKey } = {}) {
+  const pem = normalizePublicKey(publicKey);
+
+  return (req, res, next) => {
+    if (!enabled) {
+      return next();
+    }
+
+    const signature = req.get('X-Freshchat-Signature');
+    const valid = verifyFreshchatSignature(req.rawBody, signature, pem);
+
+    if (!valid) {
+      log('🚫', 'Rejected webhook with missing or invalid signature', {
+        reason: signature ? 'invalid_signature' : 'missing_signature',
+        ip: req.ip,
+        action: req.body?.action,
+        body_bytes: req.rawBody ? req.rawBody.length : 0
+      });
+      return res.status(401).json({ success: false, error: 'Invalid signature' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  normalizePublicKey,
+  parsePublicKey,
+  verifyFreshchatSignature,
+  requireFreshchatSignature
+};
@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+// ============================================================
+// Backends — namespaced key/value storage with JSON values.
+// Every backend exposes the same async interface:
+//   get(namespace, key), set(namespace, key, value),
+//   delete(namespace, key), list(namespace) -> [[key, value]]
+// ============================================================
+
+function createMemoryBackend() {
+  const data = {};
+
+  const bucket = (namespace) => {
+    if (!data[namespace]) data[namespace] = {};
+    return data[namespace];
+  };
+
+  return {
+    name: 'memory',
+    async get(namespace, key) {
+      const value = bucket(namespace)[key];
+      return value === undefined ? null : value;
+    },
+    async set(namespace, key, value) {
+      bucket(namespace)[key] = value;
+    },
+    async delete(namespace, key) {
+      const existed = key in bucket(namespace);
+      delete bucket(namespace)[key];
+      return existed;
+    },
+    async list(namespace) {
+      return Object.entries(bucket(namespace));
+    }
+  };
+}
+
+// Keeps everything in memory and rewrites the JSON file after each change.
+// Writes go to a temp file first and are renamed so a crash mid-write
+// never leaves a truncated state file behind.
+function createFileBackend(filePath) {
+  let data = {};
+
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    log('💾', `Loaded state from ${filePath}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log('⚠️', `Could not read state file ${filePath}, starting empty: ${error.message}`);
+    }
+  }
+
+  let writing = null;
+  let dirty = false;
+
+  function persist() {
+    if (writing) {
+      dirty = true;
+      return writing;
+    }
+
+    writing = (async () => {
+      do {
+        dirty = false;
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+        await fs.promises.rename(tmpPath, filePath);
+      } while (dirty);
+    })()
+      .catch(error => log('❌', `Failed to write state file ${filePath}: ${error.message}`))
+      .finally(() => { writing = null; });
+
+    return writing;
+  }
+
+  const bucket = (namespace) => {
+    if (!data[namespace]) data[namespace] = {};
+    return data[namespace];
+  };
+
+  return {
+    name: 'file',
+    async get(namespace, key) {
+      const value = bucket(namespace)[key];
+      return value === undefined ? null : value;
+    },
+    async set(namespace, key, value) {
+      bucket(namespace)[key] = value;
+      await persist();
+    },
+    async delete(namespace, key) {
+      const existed = key in bucket(namespace);
+      if (existed) {
+        delete bucket(namespace)[key];
+        await persist();
+      }
+      return existed;
+    },
+    async list(namespace) {
+      return Object.entries(bucket(namespace));
+    }
+  };
+}
+
+// One Redis hash per namespace (`<prefix><namespace>`), values JSON-encoded.
+function createRedisBackend(url, prefix = 'freshchat-bot:') {
+  const { createClient } = require('redis');
+  const client = createClient({ url });
+
+  client.on('error', error => log('❌', `Redis error: ${error.message}`));
+
+  const ready = client.connect()
+    .then(() => log('✅', 'Connected to Redis state store'))
+    .catch(error => {
+      log('❌', `Redis connection failed: ${error.message}`);
+      throw error;
+    });
+
+  const hashKey = (namespace) => `${prefix}${namespace}`;
+
+  return {
+    name: 'redis',
+    client,
+    async get(namespace, key) {
+      await ready;
+      const raw = await client.hGet(hashKey(namespace), key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(namespace, key, value) {
+      await ready;
+      await client.hSet(hashKey(namespace), key, JSON.stringify(value));
+    },
+    async delete(namespace, key) {
+      await ready;
+      return (await client.hDel(hashKey(namespace), key)) > 0;
+    },
+    async list(namespace) {
+      await ready;
+      const all = await client.hGetAll(hashKey(namespace));
+      return Object.entries(all).map(([key, raw]) => [key, JSON.parse(raw)]);
+    }
+  };
+}
+
+function createBackend({ backend = 'file', filePath, redisUrl, redisPrefix } = {}) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryBackend();
+    case 'file':
+      return createFileBackend(filePath || path.join(process.cwd(), 'data', 'state.json'));
+    case 'redis':
+      if (!redisUrl) {
+        throw new Error('STATE_BACKEND=redis requires REDIS_URL');
+      }
+      return createRedisBackend(redisUrl, redisPrefix);
+    default:
+      throw new Error(`Unknown state backend: ${backend}`);
+  }
+}
+
+// ============================================================
+// State store — conversation threads and escalation state
+// ============================================================
+const THREADS = 'threads';
+const ESCALATIONS = 'escalations';
+const LEADS = 'leads';
+const HISTORIES = 'histories';
+const FILES = 'files';
+const ROUTES = 'routes';
+const DEFERRED = 'deferred_escalations';
+const ACTIVITY = 'activity';
+const CHOICES = 'choices';
+const MEMORY = 'memory';
+const SURVEYS = 'csat_surveys';
+const CSAT = 'csat';
+const DEAD_LETTERS = 'dead_letters';
+
+function createStateStore(options = {}) {
+  const backend = options.get ? options : createBackend(options);
+
+  return {
+    backend,
+
+    // ---------- Threads ----------
+    async getThread(conversationId) {
+      const record = await backend.get(THREADS, conversationId);
+      return record ? record.thread_id : null;
+    },
+
+    async getThreadRecord(conversationId) {
+      return backend.get(THREADS, conversationId);
+    },
+
+    // Called once per completed turn; `turns` feeds the thread rotation policy.
+    // `countTurn: false` records a new thread before its first run completes.
+    async setThread(conversationId, threadId, { countTurn = true } = {}) {
+      const existing = await backend.get(THREADS, conversationId);
+      const now = new Date().toISOString();
+      const turn = countTurn ? 1 : 0;
+      const record = existing && existing.thread_id === threadId
+        ? { ...existing, updated_at: now, turns: (existing.turns || 0) + turn }
+        : { thread_id: threadId, created_at: now, updated_at: now, turns: turn };
+      await backend.set(THREADS, conversationId, record);
+      return record;
+    },
+
+    async deleteThread(conversationId) {
+      return backend.delete(THREADS, conversationId);
+    },
+
+    async listThreads() {
+      const entries = await backend.list(THREADS);
+      return entries.map(([conversation, record]) => ({ conversation, thread: record.thread_id, ...record }));
+    },
+
+    // ---------- Chat histories (providers that keep their own history) ----------
+    async getHistory(conversationId) {
+      const record = await backend.get(HISTORIES, conversationId);
+      return record ? record.messages : [];
+    },
+
+    async getHistoryRecord(conversationId) {
+      return backend.get(HISTORIES, conversationId);
+    },
+
+    // Called once per completed turn, like setThread
+    async setHistory(conversationId, messages) {
+      const existing = await backend.get(HISTORIES, conversationId);
+      const now = new Date().toISOString();
+      await backend.set(HISTORIES, conversationId, {
+        messages,
+        turns: (existing?.turns || 0) + 1,
+        created_at: existing?.created_at || now,
+        updated_at: now
+      });
+    },
+
+    async deleteHistory(conversationId) {
+      return backend.delete(HISTORIES, conversationId);
+    },
+
+    async listHistories() {
+      const entries = await backend.list(HISTORIES);
+      return entries.map(([conversation, record]) => ({
+        conversation,
+        message_count: record.messages.length,
+        turns: record.turns || 0,
+        created_at: record.created_at,
+        updated_at: record.updated_at
+      }));
+    },
+
+    // ---------- Long-term memory (summaries of rotated threads) ----------
+    async getMemory(conversationId) {
+      return backend.get(MEMORY, conversationId);
+    },
+
+    async setMemory(conversationId, summary, { reason = null } = {}) {
+      const existing = await backend.get(MEMORY, conversationId);
+      const record = {
+        summary,
+        rotations: (existing?.rotations || 0) + 1,
+        last_reason: reason,
+        updated_at: new Date().toISOString()
+      };
+      await backend.set(MEMORY, conversationId, record);
+      return record;
+    },
+
+    async deleteMemory(conversationId) {
+      return backend.delete(MEMORY, conversationId);
+    },
+
+    // ---------- Files uploaded to OpenAI per conversation ----------
+    async addFiles(conversationId, files) {
+      const existing = (await backend.get(FILES, conversationId)) || [];
+      await backend.set(FILES, conversationId, [...existing, ...files]);
+    },
+
+    async listFiles(conversationId) {
+      return (await backend.get(FILES, conversationId)) || [];
+    },
+
+    async deleteFiles(conversationId) {
+      return backend.delete(FILES, conversationId);
+    },
+
+    // ---------- Escalations ----------
+    async isEscalated(conversationId) {
+      return (await backend.get(ESCALATIONS, conversationId)) !== null;
+    },
+
+    async getEscalation(conversationId) {
+      return backend.get(ESCALATIONS, conversationId);
+    },
+
+    async escalate(conversationId, { escalatedBy = 'bot', reason = null, ...details } = {}) {
+      const record = {
+        escalated_at: new Date().toISOString(),
+        escalated_by: escalatedBy,
+        reason,
+        ...details
+      };
+      await backend.set(ESCALATIONS, conversationId, record);
+      return record;
+    },
+
+    async clearEscalation(conversationId) {
+      return backend.delete(ESCALATIONS, conversationId);
+    },
+
+    async listEscalations() {
+      const entries = await backend.list(ESCALATIONS);
+      return entries.map(([conversation, record]) => ({ conversation, ...record }));
+    },
+
+    // ---------- Escalations waiting for business hours ----------
+    async deferEscalation(conversationId, { dueAt, ...details } = {}) {
+      const record = {
+        deferred_at: new Date().toISOString(),
+        due_at: dueAt,
+        ...details
+      };
+      await backend.set(DEFERRED, conversationId, record);
+      return record;
+    },
+
+    async getDeferredEscalation(conversationId) {
+      return backend.get(DEFERRED, conversationId);
+    },
+
+    async clearDeferredEscalation(conversationId) {
+      return backend.delete(DEFERRED, conversationId);
+    },
+
+    async listDeferredEscalations() {
+      const entries = await backend.list(DEFERRED);
+      return entries.map(([conversation, record]) => ({ conversation, ...record }));
+    },
+
+    // ---------- Quick-reply choices waiting for the user's pick ----------
+    async setChoices(conversationId, choices) {
+      await backend.set(CHOICES, conversationId, { choices, offered_at: new Date().toISOString() });
+    },
+
+    // Choices older than `maxAgeMs` are dropped - the user has moved on
+    async getChoices(conversationId, { maxAgeMs = null } = {}) {
+      const record = await backend.get(CHOICES, conversationId);
+      if (record && maxAgeMs && Date.now() - Date.parse(record.offered_at) > maxAgeMs) {
+        await backend.delete(CHOICES, conversationId);
+        return [];
+      }
+      return record ? record.choices : [];
+    },
+
+    async clearChoices(conversationId) {
+      return backend.delete(CHOICES, conversationId);
+    },
+
+    // ---------- Last user/bot activity (inactivity timers) ----------
+    async getActivity(conversationId) {
+      return backend.get(ACTIVITY, conversationId);
+    },
+
+    async setActivity(conversationId, activity) {
+      await backend.set(ACTIVITY, conversationId, activity);
+    },
+
+    async deleteActivity(conversationId) {
+      return backend.delete(ACTIVITY, conversationId);
+    },
+
+    async listActivity() {
+      const entries = await backend.list(ACTIVITY);
+      return entries.map(([conversation, record]) => ({ conversation, ...record }));
+    },
+
+    // ---------- Escalation routing decisions (kept after the escalation clears) ----------
+    async recordRoute(conversationId, decision) {
+      const record = { ...decision, routed_at: new Date().toISOString() };
+      await backend.set(ROUTES, conversationId, record);
+      return record;
+    },
+
+    async getRoute(conversationId) {
+      return backend.get(ROUTES, conversationId);
+    },
+
+    async listRoutes() {
+      const entries = await backend.list(ROUTES);
+      return entries.map(([conversation, record]) => ({ conversation, ...record }));
+    },
+
+    // ---------- CSAT: surveys waiting for an answer, and the answers ----------
+    async setSurvey(conversationId, survey) {
+      await backend.set(SURVEYS, conversationId, survey);
+    },
+
+    async getSurvey(conversationId) {
+      return backend.get(SURVEYS, conversationId);
+    },
+
+    async clearSurvey(conversationId) {
+      return backend.delete(SURVEYS, conversationId);
+    },
+
+    // Kept per conversation; a response is updated in place by survey_id
+    // (the follow-up comment arrives after the rating)
+    async saveCsatResponse(conversationId, response) {
+      const existing = await backend.get(CSAT, conversationId);
+      const responses = (existing?.responses || []).filter(r => r.survey_id !== response.survey_id);
+      responses.push(response);
+      await backend.set(CSAT, conversationId, { responses });
+      return response;
+    },
+
+    async listCsatResponses() {
+      const entries = await backend.list(CSAT);
+      return entries.flatMap(([conversation, record]) => record.responses.map(response => ({ conversation, ...response })));
+    },
+
+    // ---------- Dead letters: messages Freshchat would not accept ----------
+    async addDeadLetter(conversationId, details) {
+      const now = new Date().toISOString();
+      const record = { id: crypto.randomUUID(), conversation: conversationId, ...details, attempts: 1, created_at: now, last_failed_at: now };
+      await backend.set(DEAD_LETTERS, record.id, record);
+      return record;
+    },
+
+    async getDeadLetter(id) {
+      return backend.get(DEAD_LETTERS, id);
+    },
+
+    async updateDeadLetter(id, changes) {
+      const existing = await backend.get(DEAD_LETTERS, id);
+      if (!existing) {
+        return null;
+      }
+      const record = { ...existing, ...changes };
+      await backend.set(DEAD_LETTERS, id, record);
+      return record;
+    },
+
+    async deleteDeadLetter(id) {
+      return backend.delete(DEAD_LETTERS, id);
+    },
+
+    async listDeadLetters() {
+      const entries = await backend.list(DEAD_LETTERS);
+      return entries.map(([, record]) => record).sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    // ---------- Leads (captured by the assistant) ----------
+    async saveLead(conversationId, lead) {
+      const existing = await backend.get(LEADS, conversationId);
+      const record = {
+        ...existing,
+        ...lead,
+        captured_at: existing?.captured_at || new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      await backend.set(LEADS, conversationId, record);
+      return record;
+    },
+
+    async listLeads() {
+      const entries = await backend.list(LEADS);
+      return entries.map(([conversation, record]) => ({ conversation, ...record }));
+    }
+  };
+}
+
+module.exports = {
+  createStateStore,
+  createBackend,
+  createMemoryBackend,
+  createFileBackend,
+  createRedisBackend
+};
@@ -0,0 +1,85 @@
+const log = require('./log');
+
+// ============================================================
+// Tool registry for assistant function calling
+// Handlers are registered by function name and receive the parsed
+// arguments plus a context object ({ conversationId, threadId }).
+// Whatever a handler returns is JSON-encoded and submitted back to
+// the run; thrown errors and timeouts become `{ error }` outputs so
+// the assistant can still answer instead of the run stalling.
+// ============================================================
+function createToolRegistry({ defaultTimeoutMs = 15000 } = {}) {
+  const tools = new Map();
+
+  function register(name, { handler, description = '', parameters = { type: 'object', properties: {} }, timeoutMs } = {}) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool "${name}" needs a handler function`);
+    }
+    tools.set(name, { name, handler, description, parameters, timeoutMs: timeoutMs || defaultTimeoutMs });
+    log('🧰', `Registered tool: ${name}`);
+  }
+
+  function withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool "${name}" timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  async function executeOne(toolCall, context) {
+    const name = toolCall.function?.name;
+    const tool = tools.get(name);
+    const startedAt = Date.now();
+
+    if (!tool) {
+      log('⚠️', `Assistant called unknown tool: ${name}`);
+      return { tool_call_id: toolCall.id, output: JSON.stringify({ error: `Unknown tool: ${name}` }) };
+    }
+
+    try {
+      let args = {};
+      if (toolCall.function.arguments) {
+        args = JSON.parse(toolCall.function.arguments);
+      }
+
+      // Arguments can hold what the user typed (names, phone numbers,
+      // notes), so only their keys are logged outside of debug
+      log('🔧', `Running tool ${name} (${Object.keys(args).join(', ') || 'no arguments'})`);
+      log('🔍', `Tool ${name} arguments`, args);
+      const result = await withTimeout(Promise.resolve(tool.handler(args, context)), tool.timeoutMs, name);
+      log('✅', `Tool ${name} finished in ${Date.now() - startedAt}ms`);
+
+      return {
+        tool_call_id: toolCall.id,
+        output: typeof result === 'string' ? result : JSON.stringify(result ?? { ok: true })
+      };
+    } catch (error) {
+      log('❌', `Tool ${name} failed: ${error.message}`);
+      return { tool_call_id: toolCall.id, output: JSON.stringify({ error: error.message }) };
+    }
+  }
+
+  // Tool calls from one run are independent, so they run in parallel
+  async function execute(toolCalls, context = {}) {
+    return Promise.all(toolCalls.map(toolCall => executeOne(toolCall, context)));
+  }
+
+  // OpenAI function-tool definitions for providers that send tools per request
+  function definitions() {
+    return Array.from(tools.values()).map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  return {
+    register,
+    execute,
+    definitions,
+    has: (name) => tools.has(name),
+    names: () => Array.from(tools.keys())
+  };
+}
+
+module.exports = { createToolRegistry };
@@ -0,0 +1,35 @@
+const { toFile } = require('openai');
+
+// ============================================================
+// Speech-to-text for WhatsApp voice notes
+// ============================================================
+
+// Only whisper-1 reports the clip duration (verbose_json)
+function supportsVerboseJson(model) {
+  return model === 'whisper-1';
+}
+
+// Throws with code AUDIO_TOO_LONG when the clip is over maxSeconds
+async function transcribeAudio(openai, audio, { model = 'whisper-1', maxSeconds, language } = {}) {
+  // WhatsApp voice notes are Opus in an Ogg container; the API wants a matching extension
+  const filename = /\.\w+$/.test(audio.filename) ? audio.filename : `${audio.filename || 'voice-note'}.ogg`;
+
+  const result = await openai.audio.transcriptions.create({
+    file: await toFile(audio.buffer, filename, { type: audio.mimeType }),
+    model,
+    ...(language ? { language } : {}),
+    ...(supportsVerboseJson(model) ? { response_format: 'verbose_json' } : {})
+  });
+
+  const duration = typeof result.duration === 'number' ? result.duration : null;
+
+  if (maxSeconds && duration && duration > maxSeconds) {
+    const tooLong = new Error(`Voice note is ${Math.round(duration)}s (limit ${maxSeconds}s)`);
+    tooLong.code = 'AUDIO_TOO_LONG';
+    throw tooLong;
+  }
+
+  return { text: (result.text || '').trim(), duration };
+}
+
+module.exports = { transcribeAudio };
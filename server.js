@@ -1,18 +1,156 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
 const OpenAI = require('openai');
+const log = require('./lib/log');
+const { createStateStore } = require('./lib/store');
+const { requireFreshchatSignature, parsePublicKey } = require('./lib/signature');
+const { createAuth, parseApiKeys } = require('./lib/auth');
+const { createDeduplicator } = require('./lib/dedupe');
+const { createConversationQueue } = require('./lib/queue');
+const { createToolRegistry } = require('./lib/tools');
+const { registerBusinessTools } = require('./lib/business-tools');
+const { createLLMProvider } = require('./lib/providers');
+const { downloadMedia } = require('./lib/media');
+const { transcribeAudio } = require('./lib/transcription');
+const {
+  loadEscalationKeywords,
+  matchEscalationKeyword,
+  registerEscalationTool
+} = require('./lib/escalation');
+const { loadIntentPhrases, createIntentDetector } = require('./lib/intent');
+const { loadRoutingTable, createRouter } = require('./lib/routing');
+const { loadBusinessCalendar } = require('./lib/business-hours');
+const { createScheduler } = require('./lib/scheduler');
+const { createInactivityMonitor } = require('./lib/inactivity');
+const { splitMessage } = require('./lib/message-split');
+const { createThreadLifecycle } = require('./lib/memory');
+const { createHandoffSummarizer } = require('./lib/handoff-summary');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { PERIODS, createAnalytics, reportToCsv, eventsToCsv, toCsv } = require('./lib/analytics');
+const { createCsatSurvey } = require('./lib/csat');
+const { createFreshchatClient } = require('./lib/freshchat');
+const { parseRedactOptions } = require('./lib/redact');
+const { PROFILES, loadSpacingRules, formatMessage, parseChannelProfiles } = require('./lib/formatting');
+const {
+  registerQuickReplyTool,
+  buildQuickReplyParts,
+  formatChoiceList,
+  matchChoice
+} = require('./lib/quick-replies');
 
 const app = express();
-app.use(express.json());
+
+// Keep the raw body around — webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Every request gets a correlation ID (X-Request-Id if the caller sent one)
+// that follows its processing through the logs — see lib/log.js
+app.use((req, res, next) => {
+  const correlationId = req.get('x-request-id') || log.newCorrelationId();
+  res.set('X-Request-Id', correlationId);
+  log.withContext({ correlation_id: correlationId }, next);
+});
 
 // Configurations
 const FRESHCHAT_API_KEY = process.env.FRESHCHAT_API_KEY;
 const FRESHCHAT_API_URL = process.env.FRESHCHAT_API_URL || 'https://api.freshchat.com/v2';
+// Every Freshchat call: timeout, retries with backoff, then the circuit breaker
+const FRESHCHAT_TIMEOUT_MS = parseInt(process.env.FRESHCHAT_TIMEOUT_MS || '10000', 10);
+const FRESHCHAT_MAX_RETRIES = parseInt(process.env.FRESHCHAT_MAX_RETRIES || '3', 10);
+const FRESHCHAT_RETRY_BASE_MS = parseInt(process.env.FRESHCHAT_RETRY_BASE_MS || '500', 10);
+const FRESHCHAT_CIRCUIT_THRESHOLD = parseInt(process.env.FRESHCHAT_CIRCUIT_THRESHOLD || '5', 10);
+const FRESHCHAT_CIRCUIT_RESET_MS = parseInt(process.env.FRESHCHAT_CIRCUIT_RESET_MS || '30000', 10);
+// Dead letters older than this are not resent - the reply would arrive out of context
+const DEAD_LETTER_MAX_AGE_MINUTES = parseInt(process.env.DEAD_LETTER_MAX_AGE_MINUTES || '60', 10);
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ASSISTANT_ID = process.env.ASSISTANT_ID;
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'assistants';
+const CHAT_MODEL = process.env.CHAT_MODEL || 'gpt-4o-mini';
+const VISION_ENABLED = process.env.VISION_ENABLED !== 'false';
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10);
+const TRANSCRIPTION_ENABLED = process.env.TRANSCRIPTION_ENABLED !== 'false';
+const TRANSCRIPTION_MODEL = process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_BYTES || String(10 * 1024 * 1024), 10);
+const MAX_AUDIO_SECONDS = parseInt(process.env.MAX_AUDIO_SECONDS || '180', 10);
+const DOCUMENTS_ENABLED = process.env.DOCUMENTS_ENABLED !== 'false';
+const MAX_DOCUMENT_BYTES = parseInt(process.env.MAX_DOCUMENT_BYTES || String(10 * 1024 * 1024), 10);
+// Optional narrower allow-list; by default whatever the LLM provider can read
+const DOCUMENT_MIME_TYPES = process.env.DOCUMENT_MIME_TYPES
+  ? process.env.DOCUMENT_MIME_TYPES.split(',').map(t => t.trim()).filter(Boolean)
+  : null;
 const BOT_AGENT_ID = process.env.FRESHCHAT_BOT_AGENT_ID;
 const HUMAN_AGENT_ID = process.env.HUMAN_AGENT_ID;
+const STATE_BACKEND = process.env.STATE_BACKEND || 'file';
+const VERIFY_WEBHOOK_SIGNATURE = process.env.FRESHCHAT_VERIFY_SIGNATURE !== 'false';
+const WEBHOOK_PUBLIC_KEY = process.env.FRESHCHAT_WEBHOOK_PUBLIC_KEY;
+const ADMIN_API_KEYS = parseApiKeys(process.env.ADMIN_API_KEYS);
+const DEDUPE_TTL_SECONDS = parseInt(process.env.DEDUPE_TTL_SECONDS || '3600', 10);
+const MESSAGE_DEBOUNCE_MS = parseInt(process.env.MESSAGE_DEBOUNCE_MS || '2500', 10);
+const MESSAGE_MAX_WAIT_MS = parseInt(process.env.MESSAGE_MAX_WAIT_MS || '10000', 10);
+const TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '15000', 10);
+const ESCALATION_KEYWORD_FALLBACK = process.env.ESCALATION_KEYWORD_FALLBACK !== 'false';
+const ESCALATION_KEYWORDS = loadEscalationKeywords(process.env.ESCALATION_KEYWORDS_FILE);
+const ESCALATION_TEAMS = (process.env.ESCALATION_TEAMS || '').split(',').map(t => t.trim()).filter(Boolean);
+const DEFAULT_ESCALATION_GROUP_ID = process.env.DEFAULT_ESCALATION_GROUP_ID;
+const ESCALATION_ROUTES = loadRoutingTable(process.env.ESCALATION_ROUTES_FILE);
+const BUSINESS_CALENDAR = loadBusinessCalendar(process.env.BUSINESS_HOURS_FILE);
+// 'escalate': hand over right away with an out-of-hours notice
+// 'defer': the bot keeps chatting and the handover happens when the team is online
+const OUT_OF_HOURS_MODE = process.env.OUT_OF_HOURS_MODE || 'escalate';
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '60000', 10);
+// Thread rotation (0 disables a limit); rotated threads are summarised into memory
+const THREAD_MEMORY_ENABLED = process.env.THREAD_MEMORY_ENABLED !== 'false';
+const THREAD_MAX_IDLE_HOURS = parseFloat(process.env.THREAD_MAX_IDLE_HOURS || '72');
+const THREAD_MAX_TURNS = parseInt(process.env.THREAD_MAX_TURNS || '40', 10);
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || CHAT_MODEL;
+const HANDOFF_SUMMARY_ENABLED = process.env.HANDOFF_SUMMARY_ENABLED !== 'false';
+// Post-conversation survey (opt-in): ratings at or below CSAT_LOW_SCORE
+// get a follow-up question and can be escalated
+const CSAT_ENABLED = process.env.CSAT_ENABLED === 'true';
+const CSAT_LOW_SCORE = parseInt(process.env.CSAT_LOW_SCORE || '2', 10);
+const CSAT_FOLLOW_UP = process.env.CSAT_FOLLOW_UP !== 'false';
+const CSAT_ESCALATE_LOW_SCORE = process.env.CSAT_ESCALATE_LOW_SCORE === 'true';
+const CSAT_EXPIRY_HOURS = parseFloat(process.env.CSAT_EXPIRY_HOURS || '24');
+// Conversation lifecycle events for /analytics reports (JSONL file)
+const ANALYTICS_ENABLED = process.env.ANALYTICS_ENABLED !== 'false';
+const ANALYTICS_FILE = process.env.ANALYTICS_FILE || './data/analytics.jsonl';
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || BUSINESS_CALENDAR?.timezone || 'UTC';
+// Logging: LOG_FORMAT pretty|json, LOG_LEVEL debug|info|warn|error
+const LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+// Masked in logs and /debug/webhooks: phone, email, name, content (or "none")
+const LOG_REDACT = parseRedactOptions(process.env.LOG_REDACT || 'phone,email,name,content');
+log.configure({ format: LOG_FORMAT, level: LOG_LEVEL, redact: LOG_REDACT });
+// /metrics needs a read API key unless made public (e.g. scraped on a private network)
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true';
+// Reply markup per channel: whatsapp, plain or web
+const DEFAULT_FORMAT_PROFILE = process.env.DEFAULT_FORMAT_PROFILE || 'whatsapp';
+const CHANNEL_FORMAT_PROFILES = parseChannelProfiles(process.env.CHANNEL_FORMAT_PROFILES);
+const SPACING_RULES = loadSpacingRules(process.env.SPACING_RULES_FILE);
+// WhatsApp's hard limit is 4096 characters per text message
+const MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH || '4096', 10);
+// More options than this are sent as a numbered list instead of buttons
+const QUICK_REPLY_MAX_BUTTONS = parseInt(process.env.QUICK_REPLY_MAX_BUTTONS || '3', 10);
+// An answer after this long is treated as a new message, not a pick
+const QUICK_REPLY_TTL_MINUTES = parseInt(process.env.QUICK_REPLY_TTL_MINUTES || '60', 10);
+// Auto-resolving chats is opt-in
+const INACTIVITY_TIMERS_ENABLED = process.env.INACTIVITY_TIMERS_ENABLED === 'true';
+const INACTIVITY_NUDGE_MINUTES = parseInt(process.env.INACTIVITY_NUDGE_MINUTES || '30', 10);
+const INACTIVITY_RESOLVE_MINUTES = parseInt(process.env.INACTIVITY_RESOLVE_MINUTES || '120', 10);
+const HANDOFF_INTENT_ENABLED = process.env.HANDOFF_INTENT_ENABLED !== 'false';
+const HANDOFF_INTENT_THRESHOLD = parseFloat(process.env.HANDOFF_INTENT_THRESHOLD || '0.85');
+const INTENT_PHRASES = loadIntentPhrases(process.env.INTENT_PHRASES_FILE);
+const ASSISTANT_RUN_MODE = process.env.ASSISTANT_RUN_MODE || 'stream';
+const RUN_TIMEOUT_MS = parseInt(process.env.ASSISTANT_RUN_TIMEOUT_MS || '60000', 10);
+const RUN_POLL_INITIAL_MS = parseInt(process.env.ASSISTANT_POLL_INITIAL_MS || '250', 10);
+const RUN_POLL_MAX_MS = parseInt(process.env.ASSISTANT_POLL_MAX_MS || '2000', 10);
 
 // Validate environment variables
 console.log('\n' + '='.repeat(70));
@@ -20,17 +158,75 @@ console.log('🔍 Configuration Check:');
 console.log('='.repeat(70));
 console.log('FRESHCHAT_API_KEY:', FRESHCHAT_API_KEY ? '✅ Set' : '❌ Missing');
 console.log('FRESHCHAT_API_URL:', FRESHCHAT_API_URL);
+console.log('FRESHCHAT CLIENT:', `timeout ${FRESHCHAT_TIMEOUT_MS}ms, ${FRESHCHAT_MAX_RETRIES} retries, circuit opens after ${FRESHCHAT_CIRCUIT_THRESHOLD} failures for ${FRESHCHAT_CIRCUIT_RESET_MS}ms`);
+console.log('DEAD_LETTER_MAX_AGE_MINUTES:', DEAD_LETTER_MAX_AGE_MINUTES);
 console.log('OPENAI_API_KEY:', OPENAI_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('ASSISTANT_ID:', ASSISTANT_ID || '❌ Missing');
+console.log('LLM_PROVIDER:', LLM_PROVIDER === 'chat' ? `chat (${CHAT_MODEL})` : LLM_PROVIDER);
+console.log('ASSISTANT_ID:', ASSISTANT_ID || (LLM_PROVIDER === 'assistants' ? '❌ Missing' : '➖ Not used'));
 console.log('BOT_AGENT_ID:', BOT_AGENT_ID || '⚠️ Not set (REQUIRED for reassignment detection)');
 console.log('HUMAN_AGENT_ID:', HUMAN_AGENT_ID || '⚠️ Not set (for escalation)');
+console.log('ESCALATION ROUTING:', `${ESCALATION_ROUTES.rules.length} rule(s), default group: ${DEFAULT_ESCALATION_GROUP_ID || ESCALATION_ROUTES.default?.group_id || 'none'}`);
+console.log('STATE_BACKEND:', STATE_BACKEND);
+console.log('VOICE NOTES:', TRANSCRIPTION_ENABLED
+  ? `✅ Transcribed with ${TRANSCRIPTION_MODEL} (max ${MAX_AUDIO_SECONDS}s / ${MAX_AUDIO_BYTES} bytes)`
+  : '⚠️ Disabled (canned media reply)');
+console.log('DOCUMENTS:', DOCUMENTS_ENABLED
+  ? `✅ Read by the assistant (max ${MAX_DOCUMENT_BYTES} bytes${DOCUMENT_MIME_TYPES ? `, types: ${DOCUMENT_MIME_TYPES.join(', ')}` : ''})`
+  : '⚠️ Disabled (canned media reply)');
+console.log('BUSINESS HOURS:', BUSINESS_CALENDAR
+  ? `✅ ${BUSINESS_CALENDAR.timezone}, out of hours: ${OUT_OF_HOURS_MODE} (team ${BUSINESS_CALENDAR.isOpen() ? 'online' : 'offline'} now)`
+  : '➖ Not set (team always treated as online)');
+console.log('THREAD ROTATION:', `after ${THREAD_MAX_IDLE_HOURS || '∞'}h idle or ${THREAD_MAX_TURNS || '∞'} turns, memory ${THREAD_MEMORY_ENABLED ? `✅ (${SUMMARY_MODEL})` : '➖ off'}`);
+console.log('CSAT SURVEY:', CSAT_ENABLED
+  ? `✅ After bot-resolved chats (low score ≤ ${CSAT_LOW_SCORE}${CSAT_FOLLOW_UP ? ', follow-up' : ''}${CSAT_ESCALATE_LOW_SCORE ? ', escalates' : ''})`
+  : '➖ Disabled');
+console.log('ANALYTICS:', ANALYTICS_ENABLED ? `✅ ${ANALYTICS_FILE} (reports in ${ANALYTICS_TIMEZONE})` : '➖ Disabled');
+console.log('LOGGING:', `${LOG_FORMAT}, level ${LOG_LEVEL}, redacting: ${Object.keys(LOG_REDACT).filter(k => LOG_REDACT[k]).join(', ') || 'nothing'}`);
+console.log('HANDOFF SUMMARY:', HANDOFF_SUMMARY_ENABLED ? `✅ Private note on escalation (${SUMMARY_MODEL})` : '➖ Disabled');
+console.log('FORMATTING:', `${DEFAULT_FORMAT_PROFILE} by default, ${Object.keys(CHANNEL_FORMAT_PROFILES).length} channel override(s), ${SPACING_RULES.length} spacing rule(s)`);
+console.log('INACTIVITY TIMERS:', INACTIVITY_TIMERS_ENABLED
+  ? `✅ Nudge after ${INACTIVITY_NUDGE_MINUTES} min, resolve after ${INACTIVITY_RESOLVE_MINUTES} min`
+  : '➖ Disabled');
+console.log('HANDOFF INTENT CHECK:', HANDOFF_INTENT_ENABLED
+  ? `✅ ${INTENT_PHRASES.handoff.length} handoff / ${INTENT_PHRASES.negative.length} negative phrase(s), threshold ${HANDOFF_INTENT_THRESHOLD}`
+  : '⚠️ Disabled (only the assistant can escalate)');
+console.log('VISION:', VISION_ENABLED ? `✅ Enabled (max ${MAX_IMAGE_BYTES} bytes per image)` : '⚠️ Disabled (canned image reply)');
+if (LLM_PROVIDER === 'assistants') {
+  console.log('ASSISTANT_RUN_MODE:', ASSISTANT_RUN_MODE === 'stream' ? 'stream (polling fallback)' : 'poll');
+}
+console.log('WEBHOOK SIGNATURE CHECK:', VERIFY_WEBHOOK_SIGNATURE
+  ? (WEBHOOK_PUBLIC_KEY ? '✅ Enabled' : '❌ Enabled but FRESHCHAT_WEBHOOK_PUBLIC_KEY missing')
+  : '⚠️ DISABLED (FRESHCHAT_VERIFY_SIGNATURE=false)');
+console.log('ADMIN_API_KEYS:', ADMIN_API_KEYS.length
+  ? `✅ ${ADMIN_API_KEYS.map(k => `${k.name} (${k.role})`).join(', ')}`
+  : '⚠️ None set (admin/debug endpoints will reject all requests)');
 console.log('='.repeat(70) + '\n');
 
-if (!FRESHCHAT_API_KEY || !OPENAI_API_KEY || !ASSISTANT_ID) {
+if (!FRESHCHAT_API_KEY || !OPENAI_API_KEY || (LLM_PROVIDER === 'assistants' && !ASSISTANT_ID)) {
   console.error('❌ Missing required environment variables!');
   process.exit(1);
 }
 
+if (!PROFILES.includes(DEFAULT_FORMAT_PROFILE)) {
+  console.error(`❌ DEFAULT_FORMAT_PROFILE must be one of: ${PROFILES.join(', ')}`);
+  process.exit(1);
+}
+
+if (VERIFY_WEBHOOK_SIGNATURE && !WEBHOOK_PUBLIC_KEY) {
+  console.error('❌ FRESHCHAT_WEBHOOK_PUBLIC_KEY is required while signature verification is enabled!');
+  console.error('   Set FRESHCHAT_VERIFY_SIGNATURE=false to accept unsigned webhooks (NOT recommended).');
+  process.exit(1);
+}
+
+if (VERIFY_WEBHOOK_SIGNATURE) {
+  try {
+    parsePublicKey(WEBHOOK_PUBLIC_KEY);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
 if (!BOT_AGENT_ID) {
   console.warn('⚠️ WARNING: BOT_AGENT_ID not set - reassignment detection will not work!');
 }
@@ -41,16 +237,232 @@ const openai = new OpenAI({
   project: process.env.OPENAI_PROJECT_ID
 });
 
-// Store conversation threads
-const conversationThreads = new Map();
+// Persistent state: conversation threads and escalated conversations
+// (bot should NOT respond to escalated ones). Survives redeploys.
+const store = createStateStore({
+  backend: STATE_BACKEND,
+  filePath: process.env.STATE_FILE,
+  redisUrl: process.env.REDIS_URL,
+  redisPrefix: process.env.REDIS_PREFIX
+});
+
+// Lifecycle events per conversation, reported under /analytics
+const analytics = createAnalytics({
+  filePath: ANALYTICS_FILE,
+  enabled: ANALYTICS_ENABLED,
+  timezone: ANALYTICS_TIMEZONE
+});
+
+// Admin/debug endpoint auth — only /health and the webhook are public
+const auth = createAuth({
+  keys: ADMIN_API_KEYS,
+  auditLogPath: process.env.AUDIT_LOG_FILE
+});
+const requireRead = auth.requireRole('read');
+// Routes that hand out customer messages leave an audit trail even for reads
+const requireAuditedRead = auth.requireRole('read', { audit: true });
+const requireOperator = auth.requireRole('operator');
+
+// Retried webhooks are dropped by event ID and message ID
+const webhookDeduplicator = createDeduplicator({ ttlMs: DEDUPE_TTL_SECONDS * 1000 });
+
+// One assistant turn at a time per conversation; bursts of short
+// messages are merged into a single turn
+const messageQueue = createConversationQueue({
+  debounceMs: MESSAGE_DEBOUNCE_MS,
+  maxWaitMs: MESSAGE_MAX_WAIT_MS,
+  // A merged turn logs under the correlation IDs of all its webhooks
+  handler: (conversationId, items) => log.withContext({
+    correlation_id: [...new Set(items.map(item => item.correlationId).filter(Boolean))].join(',') || log.newCorrelationId(),
+    conversation_id: conversationId
+  }, () => processMessage(
+    conversationId,
+    items.map(item => item.text).filter(Boolean).join('\n'),
+    {
+      imageParts: items.flatMap(item => item.imageParts || []),
+      audioParts: items.flatMap(item => item.audioParts || []),
+      documentParts: items.flatMap(item => item.documentParts || [])
+    }
+  ))
+});
+
+// Server-side handlers for assistant function calls (requires_action)
+const toolRegistry = createToolRegistry({ defaultTimeoutMs: TOOL_TIMEOUT_MS });
+registerEscalationTool(toolRegistry, { teams: ESCALATION_TEAMS });
+registerQuickReplyTool(toolRegistry);
+registerBusinessTools(toolRegistry, {
+  store,
+  sendPrivateNote,
+  courseFeesFile: process.env.COURSE_FEES_FILE
+});
+
+// Which Freshchat group/agent takes over an escalated conversation
+const escalationRouter = createRouter({
+  table: ESCALATION_ROUTES,
+  defaults: { group_id: DEFAULT_ESCALATION_GROUP_ID, agent_id: HUMAN_AGENT_ID }
+});
+
+// Background jobs (deferred escalations, ...) — state lives in the store
+const scheduler = createScheduler({ intervalMs: SCHEDULER_INTERVAL_MS });
+if (BUSINESS_CALENDAR && OUT_OF_HOURS_MODE === 'defer') {
+  scheduler.every('deferred-escalations', runDeferredEscalations);
+}
+
+// Follow-up nudge, then auto-resolve, when the user stops replying to the bot
+const inactivity = createInactivityMonitor({
+  store,
+  enabled: INACTIVITY_TIMERS_ENABLED,
+  nudgeAfterMs: INACTIVITY_NUDGE_MINUTES * 60 * 1000,
+  resolveAfterMs: INACTIVITY_RESOLVE_MINUTES * 60 * 1000,
+  isHandedOver: async conversationId =>
+    await store.isEscalated(conversationId) || Boolean(await store.getDeferredEscalation(conversationId)),
+  isBotOwned: async conversationId => !(await isConversationWithHuman(conversationId)),
+  nudge: conversationId => sendFreshchatMessage(conversationId, INACTIVITY_NUDGE_MESSAGE, { trackActivity: false }),
+  resolve: resolveIdleConversation,
+  exclusive: (conversationId, fn) => messageQueue.runExclusive(conversationId, fn)
+});
+if (INACTIVITY_TIMERS_ENABLED) {
+  scheduler.every('inactivity', () => inactivity.run());
+}
+
+// Rating survey after bot-resolved conversations; answers are captured
+// from the user's next message before it reaches processMessage
+const csat = createCsatSurvey({
+  store,
+  enabled: CSAT_ENABLED,
+  lowScore: CSAT_LOW_SCORE,
+  followUp: CSAT_FOLLOW_UP,
+  escalateLowScore: CSAT_ESCALATE_LOW_SCORE,
+  expiryMs: CSAT_EXPIRY_HOURS * 60 * 60 * 1000,
+  send: (conversationId, key, { choices, maxButtons } = {}) =>
+    sendFreshchatMessage(conversationId, CSAT_MESSAGES[key], { choices, maxButtons, trackActivity: false }),
+  escalate: (conversationId, { rating, comment }) => escalateToHuman(conversationId, {
+    escalatedBy: 'csat',
+    trigger: 'low_csat',
+    reason: `Low CSAT rating (${rating}/5)${comment ? `: ${comment}` : ''}`,
+    message: comment
+  }),
+  getThreadId: conversationId => store.getThread(conversationId),
+  onResponse: (conversationId, { rating, thread_id: threadId }) =>
+    analytics.record('csat', conversationId, { rating, thread_id: threadId })
+});
+
+// Inbound check for "let me talk to a person" / angry messages, before any model call
+const intentDetector = createIntentDetector({
+  phrases: INTENT_PHRASES,
+  threshold: HANDOFF_INTENT_THRESHOLD
+});
+
+// Assistant run lifecycle hooks. Events:
+//   'first_token' ({ conversationId, threadId, runId, latencyMs }) — streamed text has started
+const assistantEvents = new EventEmitter();
+
+// Model backend — Assistants threads or chat completions with our own history
+const llm = createLLMProvider(LLM_PROVIDER, {
+  openai,
+  store,
+  toolRegistry,
+  events: assistantEvents,
+  // assistants
+  assistantId: ASSISTANT_ID,
+  runMode: ASSISTANT_RUN_MODE,
+  runTimeoutMs: RUN_TIMEOUT_MS,
+  pollInitialMs: RUN_POLL_INITIAL_MS,
+  pollMaxMs: RUN_POLL_MAX_MS,
+  // chat
+  model: CHAT_MODEL,
+  systemPrompt: LLM_PROVIDER === 'chat' ? loadSystemPrompt() : null,
+  historyLimit: parseInt(process.env.CHAT_HISTORY_LIMIT || '30', 10),
+  timeoutMs: RUN_TIMEOUT_MS
+});
+
+// Rotates long/idle threads and carries a summary into the next one
+const threadLifecycle = createThreadLifecycle({
+  openai,
+  store,
+  llm,
+  model: SUMMARY_MODEL,
+  enabled: THREAD_MEMORY_ENABLED,
+  maxIdleMs: THREAD_MAX_IDLE_HOURS * 3600 * 1000,
+  maxTurns: THREAD_MAX_TURNS
+});
+
+// Briefing for the agent, posted as a private note when a chat is escalated
+const handoffSummarizer = createHandoffSummarizer({ openai, llm, model: SUMMARY_MODEL });
+
+// ============================================================
+// Prometheus metrics (GET /metrics)
+// ============================================================
+const metricsRegistry = createMetricsRegistry({ prefix: 'freshchat_bot_' });
+const metrics = {
+  webhooks: metricsRegistry.counter('webhooks_received_total', 'Webhooks received, by action'),
+  duplicateWebhooks: metricsRegistry.counter('webhooks_duplicate_total', 'Retried webhooks dropped as duplicates, by action'),
+  mediaMessages: metricsRegistry.counter('media_messages_total', 'User messages with media, by media type'),
+  runDuration: metricsRegistry.histogram('assistant_run_duration_seconds', 'Model response time, by provider and outcome'),
+  runFailures: metricsRegistry.counter('assistant_run_failures_total', 'Failed model responses, by provider and reason (timeout, error)'),
+  messagesSent: metricsRegistry.counter('messages_sent_total', 'Messages posted to Freshchat, by message type'),
+  freshchatErrors: metricsRegistry.counter('freshchat_api_errors_total', 'Failed Freshchat API calls, by endpoint and status'),
+  freshchatRetries: metricsRegistry.counter('freshchat_api_retries_total', 'Retried Freshchat API calls, by endpoint and status'),
+  deadLetters: metricsRegistry.counter('dead_letters_total', 'Messages moved to the dead-letter queue, by message type'),
+  escalations: metricsRegistry.counter('escalations_total', 'Escalation attempts, by trigger and outcome'),
+  returnsToBot: metricsRegistry.counter('returns_to_bot_total', 'Conversations handed back to the bot, by outcome'),
+  autoAssignments: metricsRegistry.counter('auto_assignments_total', 'Auto-assign checks, by outcome')
+};
+metricsRegistry.gauge('escalated_conversations', 'Conversations currently with a human',
+  async () => (await store.listEscalations()).length);
+metricsRegistry.gauge('active_threads', 'Conversations with an active thread/history',
+  async () => (await llm.listConversations()).length);
+metricsRegistry.gauge('freshchat_circuit_open', '1 while the Freshchat circuit breaker is open',
+  async () => (freshchat.circuit().state === 'open' ? 1 : 0));
+metricsRegistry.gauge('dead_letters', 'Messages waiting in the dead-letter queue',
+  async () => (await store.listDeadLetters()).length);
+
+function freshchatEndpoint(error) {
+  const path = error.config.url.slice(FRESHCHAT_API_URL.length).split('?')[0]
+    .replace(/\/(conversations|users|agents|groups|channels)\/[^/]+/g, '/$1/:id');
+  return `${(error.config.method || 'get').toUpperCase()} ${path}`;
+}
+
+function freshchatStatus(error) {
+  return error.response?.status || (error.code === 'CIRCUIT_OPEN' ? 'circuit_open' : 'network');
+}
+
+// Counts a failed Freshchat API call once, labelled by method + path template
+function countFreshchatError(error) {
+  const url = error?.config?.url;
+  if (!url || !url.startsWith(FRESHCHAT_API_URL) || error.freshchatErrorCounted) {
+    return;
+  }
+  error.freshchatErrorCounted = true;
+  metrics.freshchatErrors.inc({ endpoint: freshchatEndpoint(error), status: freshchatStatus(error) });
+}
 
-// Store conversations that have been escalated (bot should NOT respond)
-const escalatedConversations = new Set();
+// Shared client for all Freshchat API calls (see lib/freshchat.js)
+const freshchat = createFreshchatClient({
+  baseUrl: FRESHCHAT_API_URL,
+  apiKey: FRESHCHAT_API_KEY,
+  timeoutMs: FRESHCHAT_TIMEOUT_MS,
+  maxRetries: FRESHCHAT_MAX_RETRIES,
+  backoffMs: FRESHCHAT_RETRY_BASE_MS,
+  breakerThreshold: FRESHCHAT_CIRCUIT_THRESHOLD,
+  breakerResetMs: FRESHCHAT_CIRCUIT_RESET_MS,
+  onRetry: error => metrics.freshchatRetries.inc({ endpoint: freshchatEndpoint(error), status: freshchatStatus(error) }),
+  onError: countFreshchatError
+});
 
 // Store recent webhooks for debugging
 const recentWebhooks = [];
 const MAX_STORED_WEBHOOKS = 50;
 
+// System prompt for the chat provider (the Assistants provider uses the
+// instructions configured on the assistant itself)
+function loadSystemPrompt() {
+  if (process.env.SYSTEM_PROMPT_FILE) {
+    return fs.readFileSync(process.env.SYSTEM_PROMPT_FILE, 'utf8');
+  }
+  return process.env.SYSTEM_PROMPT || null;
+}
+
 // ============================================================
 // IMAGE/FILE RESPONSE MESSAGE
 // ============================================================
@@ -58,16 +470,103 @@ const IMAGE_RESPONSE_MESSAGE = `I received your image/file, but I'm unable to pr
 
 Please describe your question in text, or reply "Human Representative" to connect with our team.`;
 
-function log(emoji, message, data = null) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${emoji} ${message}`);
-  if (data) console.log(JSON.stringify(data, null, 2));
+// Sent to the model in place of a caption when the user sends only an image
+const IMAGE_ONLY_PROMPT = 'The user sent the attached image without any text.';
+
+// ============================================================
+// VOICE NOTE FALLBACK MESSAGES
+// ============================================================
+const AUDIO_FAILED_MESSAGE = `Sorry, I couldn't listen to your voice note.
+
+Please type your question, or reply "Human Representative" to connect with our team.`;
+
+const AUDIO_TOO_LONG_MESSAGE = `Your voice note is a bit too long for me to listen to (max ${Math.round(MAX_AUDIO_SECONDS / 60 * 10) / 10} minutes).
+
+Please send a shorter voice note or type your question, or reply "Human Representative" to connect with our team.`;
+
+// ============================================================
+// DOCUMENT FALLBACK MESSAGES
+// ============================================================
+const DOCUMENT_UNSUPPORTED_MESSAGE = `Sorry, I can't read this type of file, or it is too large (max ${Math.round(MAX_DOCUMENT_BYTES / 1024 / 1024)} MB).
+
+Please send it as a PDF, describe your question in text, or reply "Human Representative" to connect with our team.`;
+
+const DOCUMENT_FAILED_MESSAGE = `Sorry, I couldn't open your document.
+
+Please try sending it again, describe your question in text, or reply "Human Representative" to connect with our team.`;
+
+// ============================================================
+// HANDOFF CONFIRMATION MESSAGES (sent instead of a model reply)
+// ============================================================
+const HANDOFF_CONFIRMATION_MESSAGE = `Sure! I'm connecting you with a member of our team now.
+
+They'll reply here as soon as they're available. Thank you for your patience!`;
+
+const NEGATIVE_HANDOFF_MESSAGE = `I'm sorry for the trouble. I'm connecting you with a member of our team who can help you further.
+
+They'll reply here as soon as they're available. Thank you for your patience!`;
+
+// ============================================================
+// OUT-OF-HOURS MESSAGES (escalations while the team is offline)
+// ============================================================
+function describeNextOpening() {
+  const next = BUSINESS_CALENDAR.nextOpening();
+  return next ? `on ${BUSINESS_CALENDAR.format(next)}` : 'as soon as they are back';
+}
+
+function outOfHoursMessage() {
+  const holiday = BUSINESS_CALENDAR.holidayName();
+  return `Our team is currently offline${holiday ? ` for ${holiday}` : ''}. They'll be back ${describeNextOpening()} and will reply to you here then.
+
+Thank you for your patience!`;
 }
 
+function deferredHandoffMessage() {
+  const holiday = BUSINESS_CALENDAR.holidayName();
+  return `Our team is currently offline${holiday ? ` for ${holiday}` : ''} and will be back ${describeNextOpening()}.
+
+I'll keep helping you in the meantime and connect you with them as soon as they're online.`;
+}
+
+// ============================================================
+// INACTIVITY MESSAGES (same wording agents use when closing idle chats)
+// ============================================================
+const INACTIVITY_NUDGE_MESSAGE = `Are you still there? 😊
+
+Let me know if there's anything else I can help you with.`;
+
+const INACTIVITY_RESOLVE_MESSAGE = `It seems like you are unavailable at the moment, so I am closing the chat for now.
+
+Feel free to message us anytime if you need further assistance! 😊`;
+
+// ============================================================
+// CSAT SURVEY MESSAGES
+// ============================================================
+const CSAT_MESSAGES = {
+  prompt: `Thanks for chatting with us! 😊
+
+How would you rate the help you received today? (1 = very poor, 5 = excellent)`,
+
+  followUp: `Sorry to hear that. 😔
+
+Could you tell us briefly what went wrong, so we can do better?`,
+
+  thanks: 'Thank you for your feedback! 🙏',
+
+  escalated: `Thank you for your feedback. 🙏
+
+I've asked a member of our team to follow up with you.`
+};
+
+// Sent to the model in place of a caption when the user sends only a document
+const DOCUMENT_ONLY_PROMPT = 'The user sent the attached document without any text. Briefly acknowledge it and ask how you can help with it.';
+
+// Kept redacted, like the logs
 function storeWebhook(webhook) {
   recentWebhooks.unshift({
     timestamp: new Date().toISOString(),
-    payload: webhook
+    correlation_id: log.context().correlation_id,
+    payload: log.redact(webhook)
   });
   if (recentWebhooks.length > MAX_STORED_WEBHOOKS) {
     recentWebhooks.pop();
@@ -113,50 +612,35 @@ function stripCitations(text) {
 }
 
 // ============================================================
-// IMPROVED: Format response for WhatsApp with better spacing
+// Format a reply for the conversation's channel (see lib/formatting.js).
+// Channel ids are remembered from conversation lookups, so this usually
+// costs no extra API call.
 // ============================================================
-function formatForWhatsApp(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
+const conversationChannels = new Map();
+const MAX_CACHED_CHANNELS = 10000;
+
+function rememberChannel(conversationId, channelId) {
+  if (!channelId) return;
+  if (conversationChannels.size >= MAX_CACHED_CHANNELS) {
+    conversationChannels.clear();
   }
+  conversationChannels.set(conversationId, channelId);
+}
 
-  let formatted = text.trim();
-
-  formatted = formatted.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$2');
-  formatted = formatted.replace(/\*\*(.*?)\*\*/g, '$1');
-  formatted = formatted.replace(/\*(.*?)\*/g, '$1');
-  formatted = formatted.replace(/__(.*?)__/g, '$1');
-  formatted = formatted.replace(/_(.*?)_/g, '$1');
-  formatted = formatted.replace(/`([^`]+)`/g, '$1');
-  formatted = formatted.replace(/^#+\s*(.*)$/gm, (_, title) => title.toUpperCase());
-  formatted = formatted.replace(/^[\u2022•▪◦-]\s*/gm, '• ');
-
-  // SPACING FIXES
-  formatted = formatted.replace(/([^\n•])\n(•\s)/g, '$1\n\n$2');
-  formatted = formatted.replace(/(•\s[^\n]+)\n\n+(•\s)/g, '$1\n$2');
-  formatted = formatted.replace(/(•\s[^\n]+)\n([^•\n\s])/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Would you like)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Do you want)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Do you need)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Would you prefer)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(May I know)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Please let me know)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(I have tried my best)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(If you want me to continue)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(If you want me to assist)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(If you require further)/g, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(Please reply with)/g, '$1\n\n$2');
-  formatted = formatted.replace(/(Hello!?|Hi!?|Good morning!?|Good afternoon!?|Good evening!?)\s*\n([^\n])/gi, '$1\n\n$2');
-  formatted = formatted.replace(/([^\n])\n(For [A-Z]{2,3} )/g, '$1\n\n$2');
-  formatted = formatted.replace(/\n{3,}/g, '\n\n');
-  
-  formatted = formatted
-    .split('\n')
-    .map(line => line.trimEnd())
-    .join('\n')
-    .trim();
+async function getFormatProfile(conversationId) {
+  if (!Object.keys(CHANNEL_FORMAT_PROFILES).length) {
+    return DEFAULT_FORMAT_PROFILE;
+  }
+
+  if (!conversationChannels.has(conversationId)) {
+    await getConversationDetails(conversationId);
+  }
+  return CHANNEL_FORMAT_PROFILES[conversationChannels.get(conversationId)] || DEFAULT_FORMAT_PROFILE;
+}
 
-  return formatted;
+async function formatReply(conversationId, text) {
+  const profile = await getFormatProfile(conversationId);
+  return formatMessage(stripCitations(text), { profile, spacingRules: SPACING_RULES });
 }
 
 // ============================================================
@@ -164,66 +648,82 @@ function formatForWhatsApp(text) {
 // ============================================================
 function extractMessageContent(messageParts) {
   if (!messageParts || !Array.isArray(messageParts)) {
-    return { text: null, hasImage: false, hasFile: false, mediaTypes: [] };
+    return { text: null, hasImage: false, hasFile: false, hasAudio: false, mediaTypes: [], media: [] };
   }
 
   let text = null;
   let hasImage = false;
   let hasFile = false;
+  let hasAudio = false;
   const mediaTypes = [];
+  const media = [];
+
+  // Keep the URL/metadata of each attachment so it can be downloaded later
+  const addMedia = (type, details) => {
+    mediaTypes.push(type);
+    media.push({
+      type,
+      url: details?.url || null,
+      name: details?.name || null,
+      contentType: details?.content_type || details?.contentType || null,
+      size: details?.file_size || details?.size || null,
+      duration: details?.duration || null
+    });
+  };
 
   for (const part of messageParts) {
     if (part.text && part.text.content) {
       text = part.text.content;
     }
+
+    // Tapped quick-reply buttons arrive as their reply text or payload
+    if (part.quick_reply_button) {
+      text = part.quick_reply_button.custom_reply_text || part.quick_reply_button.label || text;
+    }
+
+    if (part.callback) {
+      text = part.callback.payload || part.callback.label || text;
+    }
     
     if (part.image) {
       hasImage = true;
-      mediaTypes.push('image');
+      addMedia('image', part.image);
     }
     
     if (part.file) {
       hasFile = true;
-      mediaTypes.push('file');
+      addMedia('file', part.file);
     }
 
     if (part.attachment) {
       hasFile = true;
-      mediaTypes.push('attachment');
+      addMedia('attachment', part.attachment);
     }
 
     if (part.video) {
       hasFile = true;
-      mediaTypes.push('video');
+      addMedia('video', part.video);
     }
 
     if (part.audio) {
-      hasFile = true;
-      mediaTypes.push('audio');
+      hasAudio = true;
+      addMedia('audio', part.audio);
     }
 
     if (part.sticker) {
       hasImage = true;
-      mediaTypes.push('sticker');
+      addMedia('sticker', part.sticker);
     }
   }
 
-  return { text, hasImage, hasFile, mediaTypes };
+  return { text, hasImage, hasFile, hasAudio, mediaTypes, media };
 }
 
 // Get conversation details from Freshchat API
 async function getConversationDetails(conversationId) {
   try {
-    const response = await axios.get(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
+    const response = await freshchat.get(`/conversations/${conversationId}`, { timeout: 5000 });
+    rememberChannel(conversationId, response.data?.channel_id);
     return response.data;
   } catch (error) {
     log('❌', 'Error fetching conversation details:', error.message);
@@ -257,12 +757,14 @@ async function autoAssignToBot(conversationId) {
     // If already assigned to bot, skip
     if (assignedAgentId === BOT_AGENT_ID) {
       log('✅', 'Already assigned to bot agent, skipping auto-assign');
+      metrics.autoAssignments.inc({ outcome: 'already_bot' });
       return true;
     }
 
     // If assigned to a human agent, don't override
     if (assignedAgentId && assignedAgentId !== BOT_AGENT_ID) {
       log('👤', `Already assigned to another agent: ${assignedAgentId}, skipping auto-assign`);
+      metrics.autoAssignments.inc({ outcome: 'skipped_agent' });
       return false;
     }
 
@@ -272,6 +774,7 @@ async function autoAssignToBot(conversationId) {
     // ============================================================
     if (!assignedAgentId && assignedGroupId) {
       log('👥', `Conversation assigned to group ${assignedGroupId} (no specific agent), skipping auto-assign to bot`);
+      metrics.autoAssignments.inc({ outcome: 'skipped_group' });
       return false;
     }
 
@@ -280,25 +783,18 @@ async function autoAssignToBot(conversationId) {
     log('🤖', `AUTO-ASSIGNING conversation ${conversationId} to bot agent ${BOT_AGENT_ID}`);
     log('🤖', '═'.repeat(70));
 
-    await axios.put(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
-        assigned_agent_id: BOT_AGENT_ID,
-        status: 'assigned'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
+    await freshchat.put(
+      `/conversations/${conversationId}`,
+      { assigned_agent_id: BOT_AGENT_ID, status: 'assigned' },
+      { timeout: 5000 }
     );
 
     log('✅', `Conversation ${conversationId} auto-assigned to bot agent successfully`);
+    metrics.autoAssignments.inc({ outcome: 'assigned' });
     return true;
 
   } catch (error) {
+    metrics.autoAssignments.inc({ outcome: 'failed' });
     log('❌', 'Auto-assign failed:', {
       status: error.response?.status,
       data: error.response?.data,
@@ -344,29 +840,31 @@ async function isConversationWithHuman(conversationId) {
       return true;
     }
 
+    const isEscalated = await store.isEscalated(conversationId);
+
     // ============================================================
     // FIX: If conversation is UNASSIGNED (no agent AND no group)
     // but in escalated list, it means human agent resolved it
     // and user reopened. Clear escalated flag, let bot handle it.
     // ============================================================
-    if (!assignedAgentId && !assignedGroupId && escalatedConversations.has(conversationId)) {
+    if (!assignedAgentId && !assignedGroupId && isEscalated) {
       log('🔄', '═'.repeat(70));
       log('🔄', 'REOPENED CONVERSATION DETECTED');
       log('🔄', `Conversation ${conversationId} was escalated but is now UNASSIGNED (no agent, no group)`);
       log('🔄', 'Human agent resolved it, user sent new message');
       log('🔄', 'Removing from escalated list - bot will respond');
       log('🔄', '═'.repeat(70));
-      escalatedConversations.delete(conversationId);
+      await store.clearEscalation(conversationId);
       return false;
     }
 
-    if (escalatedConversations.has(conversationId) && assignedAgentId === BOT_AGENT_ID) {
+    if (isEscalated && assignedAgentId === BOT_AGENT_ID) {
       log('🔄', 'Conversation in escalated list but assigned to bot - removing from escalated');
-      escalatedConversations.delete(conversationId);
+      await store.clearEscalation(conversationId);
       return false;
     }
 
-    if (escalatedConversations.has(conversationId)) {
+    if (isEscalated) {
       log('🚨', 'Conversation is in escalated list');
       return true;
     }
@@ -381,39 +879,98 @@ async function isConversationWithHuman(conversationId) {
 }
 
 // Assign conversation to human agent (ESCALATION)
-async function escalateToHuman(conversationId) {
+// `escalatedBy`, `trigger` (tool, keyword, error...), `reason` and the
+// requested `team` are recorded with the escalation in the state store.
+// The routing table picks the group/agent from the team, from keywords in
+// the reason or the user's `message`, or from the conversation's channel.
+// Outside business hours the user is told when the team is back; with
+// OUT_OF_HOURS_MODE=defer the handover itself waits for opening time
+// (`deferrable: false` forces an immediate handover).
+// `confirmation` is sent to the user as soon as the chat is reassigned,
+// before the handoff summary and memory calls; a deferred request is
+// always acknowledged.
+async function escalateToHuman(conversationId, { escalatedBy = 'bot', trigger = null, reason = null, team = null, message = null, deferrable = true, confirmation = null } = {}) {
   try {
-    if (!HUMAN_AGENT_ID) {
-      log('⚠️', 'No HUMAN_AGENT_ID set, cannot escalate');
+    const teamOnline = isTeamOnline();
+    if (!teamOnline && OUT_OF_HOURS_MODE === 'defer' && deferrable) {
+      metrics.escalations.inc({ trigger: trigger || 'unknown', outcome: 'deferred' });
+      return deferEscalation(conversationId, { escalatedBy, trigger, reason, team, message, acknowledge: Boolean(confirmation) });
+    }
+
+    let channel = null;
+    if (escalationRouter.usesChannels) {
+      const conversation = await getConversationDetails(conversationId);
+      channel = conversation?.channel_id || null;
+    }
+
+    const route = escalationRouter.resolve({ team, reason, message, channel });
+
+    if (!route.group_id && !route.agent_id) {
+      log('⚠️', 'No escalation group or HUMAN_AGENT_ID set, cannot escalate');
+      metrics.escalations.inc({ trigger: trigger || 'unknown', outcome: 'not_configured' });
       return false;
     }
 
-    log('🚨', `Escalating conversation ${conversationId} to human agent ${HUMAN_AGENT_ID}`);
+    log('🚨', `Escalating conversation ${conversationId} via route "${route.rule}" (${route.matched_by}${route.matched ? `: ${route.matched}` : ''})`, {
+      group_id: route.group_id,
+      agent_id: route.agent_id
+    });
 
-    const response = await axios.put(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
-        assigned_agent_id: HUMAN_AGENT_ID,
-        status: 'assigned'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const assignment = {
+      ...(route.group_id ? { assigned_group_id: route.group_id } : {}),
+      ...(route.agent_id ? { assigned_agent_id: route.agent_id } : {}),
+      status: 'assigned'
+    };
+
+    const response = await freshchat.put(`/conversations/${conversationId}`, assignment);
 
-    log('✅', `Conversation reassigned to human agent`);
+    log('✅', `Conversation reassigned to ${route.agent_id ? `agent ${route.agent_id}` : `group ${route.group_id}`}`);
+    metrics.escalations.inc({ trigger: trigger || 'unknown', outcome: 'escalated' });
     log('📋', 'Response:', response.data);
 
-    escalatedConversations.add(conversationId);
-    conversationThreads.delete(conversationId);
+    await store.recordRoute(conversationId, { ...route, team, trigger });
+    await store.escalate(conversationId, {
+      escalatedBy,
+      reason,
+      trigger,
+      team,
+      route: route.rule,
+      assigned_group_id: route.group_id,
+      assigned_agent_id: route.agent_id
+    });
+    await store.clearDeferredEscalation(conversationId);
+    await store.clearChoices(conversationId);
+    await analytics.record('escalation', conversationId, { trigger, reason, team, route: route.rule, escalated_by: escalatedBy });
+
+    // Out of hours the user is told when the team is back instead
+    const notice = teamOnline ? confirmation : outOfHoursMessage();
+    if (notice) {
+      try {
+        await sendFreshchatMessage(conversationId, notice);
+      } catch (error) {
+        log('⚠️', `Failed to confirm the handover to the user: ${error.message}`);
+      }
+    }
+
+    // Summarise for the agent while the thread still exists — it is retired right after
+    if (HANDOFF_SUMMARY_ENABLED) {
+      try {
+        const note = await handoffSummarizer.summarize(conversationId, { reason, trigger, team, message });
+        await sendPrivateNote(conversationId, note);
+        log('📝', `Posted handoff summary for conversation ${conversationId}`);
+      } catch (error) {
+        log('⚠️', `Failed to post handoff summary: ${error.message}`);
+      }
+    }
+
+    await threadLifecycle.retire(conversationId, { reason: 'escalation' });
     log('🗑️', `Removed thread for conversation ${conversationId}`);
+    await inactivity.cancel(conversationId);
 
     return true;
 
   } catch (error) {
+    metrics.escalations.inc({ trigger: trigger || 'unknown', outcome: 'failed' });
     log('❌', 'Failed to escalate conversation:', {
       status: error.response?.status,
       data: error.response?.data,
@@ -423,6 +980,90 @@ async function escalateToHuman(conversationId) {
   }
 }
 
+// Close an idle bot conversation the way agents do: a closing message, then resolve
+async function resolveIdleConversation(conversationId) {
+  await sendFreshchatMessage(conversationId, INACTIVITY_RESOLVE_MESSAGE, { trackActivity: false });
+
+  await freshchat.put(`/conversations/${conversationId}`, { status: 'resolved' });
+  log('✅', `Conversation ${conversationId} resolved after inactivity`);
+  await analytics.resolution(conversationId, { resolved_by: 'inactivity' });
+  await startCsatSurvey(conversationId);
+}
+
+// Only chats the bot handled alone are surveyed: never escalated, a bot
+// thread exists and no human owns the conversation
+async function startCsatSurvey(conversationId) {
+  if (!csat.enabled || await store.isEscalated(conversationId)) {
+    return;
+  }
+  if (!(await llm.getConversationState(conversationId)) || await isConversationWithHuman(conversationId)) {
+    return;
+  }
+  await csat.start(conversationId);
+}
+
+function isTeamOnline() {
+  return !BUSINESS_CALENDAR || BUSINESS_CALENDAR.isOpen();
+}
+
+// Park an escalation until business hours; the scheduler hands it over
+async function deferEscalation(conversationId, { escalatedBy, trigger, reason, team, message, acknowledge = false }) {
+  const existing = await store.getDeferredEscalation(conversationId);
+  const dueAt = BUSINESS_CALENDAR.nextOpening();
+
+  await store.deferEscalation(conversationId, {
+    dueAt: dueAt ? dueAt.toISOString() : null,
+    escalated_by: escalatedBy,
+    trigger,
+    reason,
+    team,
+    message
+  });
+  log('🌙', `Team offline - escalation of ${conversationId} deferred until ${dueAt ? dueAt.toISOString() : 'next opening'}`);
+
+  // Tell the user once, not on every escalation attempt while waiting -
+  // unless the user asked again themselves
+  if (!existing || acknowledge) {
+    await sendFreshchatMessage(conversationId, deferredHandoffMessage());
+  }
+  await inactivity.cancel(conversationId);
+  return true;
+}
+
+// Scheduler job: hand over deferred escalations once the team is online
+async function runDeferredEscalations() {
+  if (!isTeamOnline()) {
+    return;
+  }
+
+  const deferred = await store.listDeferredEscalations();
+  for (const record of deferred) {
+    await messageQueue.runExclusive(record.conversation, async () => {
+      if (await isConversationWithHuman(record.conversation)) {
+        log('ℹ️', `Deferred escalation of ${record.conversation} dropped - already with a human`);
+        await store.clearDeferredEscalation(record.conversation);
+        return;
+      }
+
+      log('☀️', `Team online - handing over deferred conversation ${record.conversation} (deferred at ${record.deferred_at})`);
+      // escalateToHuman clears the record once the handover succeeds; a
+      // failed one stays deferred and is retried on the next tick
+      const escalated = await escalateToHuman(record.conversation, {
+        escalatedBy: record.escalated_by,
+        trigger: record.trigger,
+        reason: record.reason,
+        team: record.team,
+        message: record.message,
+        deferrable: false
+      });
+
+      if (!escalated) {
+        log('⚠️', `Deferred escalation of ${record.conversation} failed - will retry`);
+      }
+    });
+  }
+}
+
 // Return conversation back to bot (DE-ESCALATION)
 async function returnToBot(conversationId, sendWelcomeMessage = true, reassignInFreshchat = true) {
   try {
@@ -438,18 +1079,9 @@ async function returnToBot(conversationId, sendWelcomeMessage = true, reassignIn
 
     if (reassignInFreshchat) {
       try {
-        const response = await axios.put(
-          `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-          {
-            assigned_agent_id: BOT_AGENT_ID,
-            status: 'assigned'
-          },
-          {
-            headers: {
-              'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-              'Content-Type': 'application/json'
-            }
-          }
+        const response = await freshchat.put(
+          `/conversations/${conversationId}`,
+          { assigned_agent_id: BOT_AGENT_ID, status: 'assigned' }
         );
         log('✅', `Conversation reassigned to bot agent via API`);
         log('📋', 'Response:', response.data);
@@ -460,8 +1092,12 @@ async function returnToBot(conversationId, sendWelcomeMessage = true, reassignIn
       log('✅', `Conversation already assigned to bot (via Freshchat UI)`);
     }
 
-    const wasEscalated = escalatedConversations.has(conversationId);
-    escalatedConversations.delete(conversationId);
+    const wasEscalated = await store.clearEscalation(conversationId);
+    await store.clearDeferredEscalation(conversationId);
+    await store.clearChoices(conversationId);
+    if (wasEscalated) {
+      await analytics.record('return_to_bot', conversationId);
+    }
     log('✅', `Removed conversation ${conversationId} from escalated list (was escalated: ${wasEscalated})`);
 
     if (sendWelcomeMessage) {
@@ -479,10 +1115,12 @@ async function returnToBot(conversationId, sendWelcomeMessage = true, reassignIn
     log('✅', '═'.repeat(70));
     log('✅', `Bot is now ACTIVE for conversation ${conversationId}`);
     log('✅', '═'.repeat(70));
+    metrics.returnsToBot.inc({ outcome: 'returned', reassigned: reassignInFreshchat ? 'api' : 'freshchat' });
 
     return true;
 
   } catch (error) {
+    metrics.returnsToBot.inc({ outcome: 'failed', reassigned: reassignInFreshchat ? 'api' : 'freshchat' });
     log('❌', 'Failed to return conversation to bot:', {
       status: error.response?.status,
       data: error.response?.data,
@@ -493,36 +1131,47 @@ async function returnToBot(conversationId, sendWelcomeMessage = true, reassignIn
 }
 
 // Send message to Freshchat
-async function sendFreshchatMessage(conversationId, message) {
+// messageType 'private' posts an agent-only note instead of a customer reply
+// Long messages are split into several, sent strictly in order.
+// `choices` ([{ label, payload }]) go out as quick-reply buttons on the
+// last part, or as a numbered list when there are more than `maxButtons`.
+// Bot replies start the inactivity timers unless `trackActivity` is false
+// (nudges and closing messages must not restart them)
+async function sendFreshchatMessage(conversationId, message, { messageType = 'normal', trackActivity = true, choices = null, maxButtons = QUICK_REPLY_MAX_BUTTONS } = {}) {
   try {
-    log('📤', `Sending message to conversation: ${conversationId}`);
-    log('📝', `Message: ${message.substring(0, 100)}...`);
-    
-    const payload = BOT_AGENT_ID ? {
-      message_parts: [{ text: { content: message } }],
-      message_type: 'normal',
+    const asList = choices?.length > maxButtons;
+    const parts = splitMessage(asList ? `${message}\n\n${formatChoiceList(choices)}` : message, MAX_MESSAGE_LENGTH);
+
+    log('📤', `Sending ${messageType} message to conversation: ${conversationId}${parts.length > 1 ? ` (${parts.length} parts)` : ''}`);
+    log('📝', `Message: ${log.text(message.substring(0, 100))}...`);
+
+    const payloads = parts.map((content, index) => ({
+      message_parts: [{ text: { content } }],
+      ...(index === parts.length - 1 && choices?.length && !asList ? { reply_parts: buildQuickReplyParts(choices) } : {}),
+      message_type: messageType,
       actor_type: 'agent',
-      actor_id: BOT_AGENT_ID
-    } : {
-      message_parts: [{ text: { content: message } }],
-      message_type: 'normal',
-      actor_type: 'agent'
-    };
+      ...(BOT_AGENT_ID ? { actor_id: BOT_AGENT_ID } : {})
+    }));
+
+    const result = await postMessageParts(conversationId, payloads, { messageType });
+    if (result.queued) {
+      // Delivery is retried from /dead-letters; the caller carries on as if sent
+      return result;
+    }
 
-    const response = await axios.post(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-    
     log('✅', `Message sent successfully!`);
-    return response.data;
+    metrics.messagesSent.inc({ type: messageType }, parts.length);
+
+    if (choices?.length) {
+      await store.setChoices(conversationId, choices);
+    }
+
+    if (trackActivity && messageType === 'normal') {
+      await inactivity.botActivity(conversationId)
+        .catch(err => log('⚠️', `Failed to record bot activity: ${err.message}`));
+    }
+
+    return result;
     
   } catch (error) {
     log('❌', 'Failed to send message:', {
@@ -533,97 +1182,152 @@ async function sendFreshchatMessage(conversationId, message) {
   }
 }
 
-// Get response from OpenAI Assistant
-async function getAssistantResponse(userMessage, threadId = null) {
-  try {
-    log('🤖', `Getting OpenAI response for: "${userMessage}"`);
-    
-    let thread;
-    if (!threadId) {
-      thread = await openai.beta.threads.create();
-      log('🆕', `Created new thread: ${thread.id}`);
-    } else {
-      thread = { id: threadId };
-      log('♻️', `Using existing thread: ${threadId}`);
+// Awaited one by one so the parts arrive in order. If a part fails for
+// good, it and the parts after it go to the dead-letter queue, from where
+// an operator can inspect and resend them (/dead-letters), and the result
+// is { queued: true } instead of an error. Only when the dead letter can't
+// be stored either does this throw, with `deliveryFailed` set.
+async function postMessageParts(conversationId, payloads, { messageType }) {
+  let data = null;
+  for (const [index, payload] of payloads.entries()) {
+    try {
+      const response = await freshchat.post(`/conversations/${conversationId}/messages`, payload);
+      data = response.data;
+    } catch (error) {
+      error.deliveryFailed = true;
+      const letter = await store.addDeadLetter(conversationId, {
+        message_type: messageType,
+        payloads: payloads.slice(index),
+        error: error.message,
+        status: error.response?.status || error.code || null
+      }).catch(storeError => log('❌', `Failed to store dead letter: ${storeError.message}`));
+
+      if (!letter) {
+        throw error;
+      }
+      metrics.deadLetters.inc({ type: messageType });
+      log('📮', `Message for ${conversationId} moved to the dead-letter queue (${letter.id}, ${payloads.length - index} part(s)): ${error.message}`);
+      return { queued: true, dead_letter_id: letter.id };
     }
+  }
+  return { queued: false, data };
+}
 
-    await openai.beta.threads.messages.create(thread.id, {
-      role: 'user',
-      content: userMessage
-    });
+// Why a dead letter must not be resent any more, or null. Bot replies are
+// stale once a person owns the chat; private notes are for those people.
+async function staleDeadLetterReason(letter) {
+  if (Date.now() - Date.parse(letter.created_at) > DEAD_LETTER_MAX_AGE_MINUTES * 60 * 1000) {
+    return 'expired';
+  }
+  if (letter.message_type === 'private') {
+    return null;
+  }
+  if (await store.isEscalated(letter.conversation)) {
+    return 'escalated';
+  }
+  if (await isConversationWithHuman(letter.conversation)) {
+    return 'with_human';
+  }
+  return null;
+}
 
-    const run = await openai.beta.threads.runs.create(thread.id, {
-      assistant_id: ASSISTANT_ID
-    });
+// Resends what is left of a dead letter; parts that go through are
+// dropped from it, so a second failure never sends them twice.
+// Stale letters are flagged with `skipped` and left for an operator to delete.
+async function retryDeadLetter(letter) {
+  const stale = await staleDeadLetterReason(letter);
+  if (stale) {
+    await store.updateDeadLetter(letter.id, { skipped: stale, skipped_at: new Date().toISOString() });
+    log('📮', `Dead letter ${letter.id} for ${letter.conversation} not resent (${stale})`);
+    return { delivered: false, skipped: stale };
+  }
 
-    log('⏳', `Waiting for assistant response (run: ${run.id})...`);
+  let remaining = letter.payloads;
+  try {
+    while (remaining.length) {
+      await freshchat.post(`/conversations/${letter.conversation}/messages`, remaining[0]);
+      remaining = remaining.slice(1);
+    }
+  } catch (error) {
+    await store.updateDeadLetter(letter.id, {
+      payloads: remaining,
+      attempts: letter.attempts + 1,
+      error: error.message,
+      status: error.response?.status || error.code || null,
+      last_failed_at: new Date().toISOString()
+    });
+    throw error;
+  }
 
-    let runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-    let attempts = 0;
-    const maxAttempts = 60;
+  await store.deleteDeadLetter(letter.id);
+  metrics.messagesSent.inc({ type: letter.message_type }, letter.payloads.length);
+  log('📮', `Dead letter ${letter.id} delivered to conversation ${letter.conversation}`);
+  return { delivered: true };
+}
 
-    while (runStatus.status !== 'completed' && attempts < maxAttempts) {
-      if (runStatus.status === 'failed') {
-        throw new Error(`Assistant run failed: ${runStatus.last_error?.message}`);
-      }
-      if (runStatus.status === 'expired') {
-        throw new Error('Assistant run expired');
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-      attempts++;
-      
-      if (attempts % 10 === 0) {
-        log('⏳', `Still waiting... (${attempts}s, status: ${runStatus.status})`);
-      }
-    }
+async function sendPrivateNote(conversationId, note) {
+  return sendFreshchatMessage(conversationId, note, { messageType: 'private' });
+}
 
-    if (runStatus.status !== 'completed') {
-      throw new Error(`Assistant timeout after ${attempts}s (status: ${runStatus.status})`);
+// Get response from the configured LLM provider
+// `images`/`documents` are downloaded attachments; `context` is handed to tool handlers
+async function getAssistantResponse(conversationId, userMessage, { images = [], documents = [], context = {} } = {}) {
+  try {
+    const attached = [
+      images.length && `${images.length} image(s)`,
+      documents.length && `${documents.length} document(s)`
+    ].filter(Boolean);
+    log('🤖', `Getting ${llm.name} response for: "${log.text(userMessage)}"${attached.length ? ` (+${attached.join(', ')})` : ''}`);
+
+    // Rotates the thread first if it is due, and returns the long-term memory
+    const memory = await threadLifecycle.prepare(conversationId);
+
+    // Tool handlers report back through `signals` (e.g. escalate_to_human)
+    const signals = {};
+    const endTimer = metrics.runDuration.startTimer({ provider: llm.name });
+    let result;
+    try {
+      result = await llm.respond({
+        conversationId,
+        message: userMessage,
+        images,
+        documents,
+        memory,
+        context: { ...context, signals }
+      });
+    } catch (error) {
+      const reason = /timeout|expired/i.test(error.message) ? 'timeout' : 'error';
+      endTimer({ outcome: reason });
+      metrics.runFailures.inc({ provider: llm.name, reason });
+      throw error;
     }
+    endTimer({ outcome: 'success' });
+    const { text: responseText, threadId } = result;
 
-    log('✅', `Assistant completed in ${attempts} seconds`);
+    log('🤖', `Assistant said: ${log.text(responseText.substring(0, 200))}...`);
 
-    const messages = await openai.beta.threads.messages.list(thread.id);
-    const assistantMessage = messages.data
-      .filter(msg => msg.role === 'assistant')
-      .sort((a, b) => b.created_at - a.created_at)[0];
+    // Structured signal first; phrase matching only as a fallback
+    let escalation = signals.escalation || null;
 
-    if (!assistantMessage) {
-      throw new Error('No assistant response found');
+    if (!escalation && ESCALATION_KEYWORD_FALLBACK) {
+      const keyword = matchEscalationKeyword(responseText, ESCALATION_KEYWORDS);
+      if (keyword) {
+        escalation = { trigger: 'keyword', reason: `Matched phrase: "${keyword.substring(0, 60)}"`, team: null };
+      }
     }
 
-    const responseText = assistantMessage.content[0].text.value;
-    log('🤖', `Assistant said: ${responseText.substring(0, 200)}...`);
-
-    const escalationKeywords = [
-      'Please allow me to connect you to our manager. The response may take 12 to 24 hours due to the high volume of chats. Your patience would be highly appreciated.',
-      'connecting you with a human representative',
-      'Awesome! Our team will get back to you shortly, and we can’t wait to assist you!  Thanks for your patience.',
-      'Our team will get back to you shortly',
-      'Awesome! Our team will get back to you shortly to assist you further. Due to the ACCA results, replies may take a little longer than usual. Thank you for your patience—we look forward to assisting you!',
-      'connecting you to a human representative',
-      'speak to my human representative',
-      'talk to my human representative',
-      'allow me to connect with human representative',
-      'please allow me to connect you to our human representative',
-      'i have forwarded your details to our human representative',
-      'A Human Representative will assist you further'
-    ];
-
-    const needsEscalation = escalationKeywords.some(keyword => 
-      responseText.toLowerCase().includes(keyword.toLowerCase())
-    );
+    const needsEscalation = !!escalation;
 
     if (needsEscalation) {
-      log('🚨', 'ESCALATION KEYWORD DETECTED in response!');
+      log('🚨', `ESCALATION SIGNAL in response (${escalation.trigger}): ${log.text(escalation.reason)}`);
     }
 
     return {
       response: responseText,
-      threadId: thread.id,
-      needsEscalation
+      threadId,
+      needsEscalation,
+      escalation,
+      choices: signals.choices || null
     };
 
   } catch (error) {
@@ -655,6 +1359,7 @@ async function handleMediaMessage(conversationId, mediaTypes) {
 
     // Send the predefined response (no LLM call)
     await sendFreshchatMessage(conversationId, IMAGE_RESPONSE_MESSAGE);
+    await analytics.record('media_fallback', conversationId, { media_types: mediaTypes.join(',') });
 
     log('✅', `Sent media acknowledgment message to conversation ${conversationId}`);
     log('✅', '═'.repeat(70));
@@ -664,14 +1369,200 @@ async function handleMediaMessage(conversationId, mediaTypes) {
   }
 }
 
+// ============================================================
+// Download image attachments for the vision model.
+// Returns null when any image can't be used (too large or failed).
+// ============================================================
+async function downloadImages(conversationId, imageParts) {
+  try {
+    const images = [];
+    for (const part of imageParts) {
+      if (!part.url) {
+        throw new Error(`No URL on ${part.type} attachment`);
+      }
+      if (part.size && part.size > MAX_IMAGE_BYTES) {
+        log('📏', `Image too large (${part.size} bytes > ${MAX_IMAGE_BYTES}) in conversation ${conversationId}`);
+        return null;
+      }
+      images.push(await downloadMedia(part.url, {
+        maxBytes: MAX_IMAGE_BYTES,
+        mimeType: part.contentType,
+        filename: part.name
+      }));
+    }
+    log('🖼️', `Downloaded ${images.length} image(s) for conversation ${conversationId}`);
+    return images;
+  } catch (error) {
+    if (error.code === 'MEDIA_TOO_LARGE') {
+      log('📏', `Image too large for vision in conversation ${conversationId}: ${error.message}`);
+    } else {
+      log('❌', `Failed to download image for conversation ${conversationId}: ${error.message}`);
+    }
+    return null;
+  }
+}
+
+// ============================================================
+// Transcribe voice notes. Transcripts are posted as a private note
+// for agents. Returns null (after sending a fallback reply) when a
+// voice note can't be used.
+// ============================================================
+async function transcribeVoiceNotes(conversationId, audioParts) {
+  const transcripts = [];
+
+  for (const part of audioParts) {
+    try {
+      if (!part.url) {
+        throw new Error('No URL on audio attachment');
+      }
+      if ((part.size && part.size > MAX_AUDIO_BYTES) || (part.duration && part.duration > MAX_AUDIO_SECONDS)) {
+        log('📏', `Voice note over limits (size: ${part.size}, duration: ${part.duration}) in conversation ${conversationId}`);
+        await sendFreshchatMessage(conversationId, AUDIO_TOO_LONG_MESSAGE);
+        return null;
+      }
+
+      const audio = await downloadMedia(part.url, {
+        maxBytes: MAX_AUDIO_BYTES,
+        mimeType: part.contentType,
+        filename: part.name
+      });
+      const { text, duration } = await transcribeAudio(openai, audio, {
+        model: TRANSCRIPTION_MODEL,
+        maxSeconds: MAX_AUDIO_SECONDS
+      });
+
+      if (!text) {
+        throw new Error('Empty transcript');
+      }
+
+      log('🎙️', `Transcribed voice note (${duration ? `${Math.round(duration)}s` : 'unknown length'}): "${log.text(text.substring(0, 100))}"`);
+      transcripts.push(text);
+    } catch (error) {
+      const tooLong = error.code === 'MEDIA_TOO_LARGE' || error.code === 'AUDIO_TOO_LONG';
+      log(tooLong ? '📏' : '❌', `Voice note not usable in conversation ${conversationId}: ${error.message}`);
+      await sendFreshchatMessage(conversationId, tooLong ? AUDIO_TOO_LONG_MESSAGE : AUDIO_FAILED_MESSAGE);
+      return null;
+    }
+  }
+
+  try {
+    await sendPrivateNote(conversationId, `🎙️ Voice note transcript:\n\n${transcripts.join('\n\n')}`);
+  } catch (error) {
+    log('⚠️', `Failed to post transcript note: ${error.message}`);
+  }
+
+  return transcripts.join('\n');
+}
+
+// ============================================================
+// Download documents for the assistant to read. Checks type and
+// size; returns null (after sending a fallback reply) when any
+// document can't be used.
+// ============================================================
+function isSupportedDocumentType(mimeType) {
+  const allowed = DOCUMENT_MIME_TYPES
+    ? DOCUMENT_MIME_TYPES.filter(type => llm.documentTypes.includes(type))
+    : llm.documentTypes;
+  return allowed.includes(mimeType);
+}
+
+async function downloadDocuments(conversationId, documentParts) {
+  const documents = [];
+
+  for (const part of documentParts) {
+    try {
+      if (!part.url) {
+        throw new Error(`No URL on ${part.type} attachment`);
+      }
+      if (part.size && part.size > MAX_DOCUMENT_BYTES) {
+        log('📏', `Document too large (${part.size} bytes) in conversation ${conversationId}`);
+        await sendFreshchatMessage(conversationId, DOCUMENT_UNSUPPORTED_MESSAGE);
+        return null;
+      }
+
+      const document = await downloadMedia(part.url, {
+        maxBytes: MAX_DOCUMENT_BYTES,
+        mimeType: part.contentType,
+        filename: part.name
+      });
+
+      if (!isSupportedDocumentType(document.mimeType)) {
+        log('🚫', `Unsupported document type ${document.mimeType} (${document.filename}) for provider ${llm.name}`);
+        await sendFreshchatMessage(conversationId, DOCUMENT_UNSUPPORTED_MESSAGE);
+        return null;
+      }
+
+      log('📄', `Downloaded document ${document.filename} (${document.mimeType}, ${document.size} bytes)`);
+      documents.push(document);
+    } catch (error) {
+      const tooLarge = error.code === 'MEDIA_TOO_LARGE';
+      log(tooLarge ? '📏' : '❌', `Document not usable in conversation ${conversationId}: ${error.message}`);
+      await sendFreshchatMessage(conversationId, tooLarge ? DOCUMENT_UNSUPPORTED_MESSAGE : DOCUMENT_FAILED_MESSAGE);
+      return null;
+    }
+  }
+
+  return documents;
+}
+
+// Choices are one-shot: whatever the user sends next clears them
+async function resolveChoiceReply(conversationId, messageContent) {
+  const choices = await store.getChoices(conversationId, { maxAgeMs: QUICK_REPLY_TTL_MINUTES * 60 * 1000 });
+  if (!choices.length) {
+    return messageContent;
+  }
+
+  await store.clearChoices(conversationId);
+  const choice = matchChoice(messageContent, choices);
+  if (!choice) {
+    return messageContent;
+  }
+
+  log('🔘', `User picked "${choice.label}" → "${log.text(choice.payload)}"`);
+  return choice.payload;
+}
+
+// ============================================================
+// Inbound handoff intent — escalates without calling the model.
+// Returns true when the conversation was handed over; if escalation
+// fails the message carries on to the assistant as usual.
+// ============================================================
+async function handleHandoffIntent(conversationId, messageContent) {
+  const intent = intentDetector.detect(messageContent);
+  if (!intent) {
+    return false;
+  }
+
+  log('🙋', `Handoff intent detected: ${intent.intent} ("${intent.phrase}", score ${intent.score})`);
+
+  // The confirmation goes out right after the reassignment, before the
+  // summaries; out of hours the user is told when the team is back instead
+  const escalated = await escalateToHuman(conversationId, {
+    escalatedBy: 'user',
+    trigger: intent.intent === 'negative' ? 'negative_sentiment' : 'user_request',
+    reason: `User message matched "${intent.phrase}"`,
+    message: messageContent,
+    confirmation: intent.intent === 'negative' ? NEGATIVE_HANDOFF_MESSAGE : HANDOFF_CONFIRMATION_MESSAGE
+  });
+
+  if (!escalated) {
+    log('❌', 'Handoff escalation failed - passing message to the assistant');
+    return false;
+  }
+  return true;
+}
+
 // ============================================================
 // Process message — auto-assigns to bot first (if truly unassigned)
+// `imageParts` are image attachments to pass to the vision model,
+// `audioParts` are voice notes to transcribe into the message,
+// `documentParts` are files the assistant should read
 // ============================================================
-async function processMessage(conversationId, messageContent) {
+async function processMessage(conversationId, messageContent, { imageParts = [], audioParts = [], documentParts = [] } = {}) {
   try {
     log('🔄', '═'.repeat(70));
     log('🔄', `Processing conversation: ${conversationId}`);
-    log('💬', `User message: "${messageContent}"`);
+    log('💬', `User message: "${log.text(messageContent)}"`);
 
     const isWithHuman = await isConversationWithHuman(conversationId);
     
@@ -690,23 +1581,75 @@ async function processMessage(conversationId, messageContent) {
     log('🤖', 'Conversation is with bot - proceeding with AI response');
     log('🔄', '═'.repeat(70));
 
-    let threadId = conversationThreads.get(conversationId);
+    // A quick-reply tap (or the option's number/label) stands for its payload
+    messageContent = await resolveChoiceReply(conversationId, messageContent);
+
+    // Voice notes are answered as if the transcript had been typed
+    if (audioParts.length) {
+      const transcript = await transcribeVoiceNotes(conversationId, audioParts);
+      if (transcript === null && !messageContent && !imageParts.length && !documentParts.length) {
+        return;
+      }
+      messageContent = [messageContent, transcript].filter(Boolean).join('\n');
+    }
+
+    // Explicit requests for a person (or clearly upset users) skip the model
+    if (HANDOFF_INTENT_ENABLED && await handleHandoffIntent(conversationId, messageContent)) {
+      return;
+    }
+
+    let images = [];
+    if (imageParts.length) {
+      images = await downloadImages(conversationId, imageParts);
+
+      // Unusable image: canned reply, and only carry on if there was text too
+      if (!images) {
+        await sendFreshchatMessage(conversationId, IMAGE_RESPONSE_MESSAGE);
+        await analytics.record('media_fallback', conversationId, { media_types: 'image' });
+        if (!messageContent && !documentParts.length) {
+          return;
+        }
+        images = [];
+      }
+    }
 
-    const { response, threadId: newThreadId, needsEscalation } = 
-      await getAssistantResponse(messageContent, threadId);
+    let documents = [];
+    if (documentParts.length) {
+      documents = await downloadDocuments(conversationId, documentParts);
+      if (!documents) {
+        if (!messageContent && !images.length) {
+          return;
+        }
+        documents = [];
+      }
+    }
 
-    conversationThreads.set(conversationId, newThreadId);
-    log('💾', `Saved thread ${newThreadId} for conversation ${conversationId}`);
+    const prompt = messageContent ||
+      (images.length ? IMAGE_ONLY_PROMPT : null) ||
+      (documents.length ? DOCUMENT_ONLY_PROMPT : null);
 
-    const cleanedResponse = formatForWhatsApp(stripCitations(response));
-    await sendFreshchatMessage(conversationId, cleanedResponse);
+    if (!prompt) {
+      log('⚠️', 'Nothing usable left in message after media handling');
+      return;
+    }
+
+    const { response, needsEscalation, escalation, choices } = 
+      await getAssistantResponse(conversationId, prompt, { images, documents });
+
+    const cleanedResponse = await formatReply(conversationId, response);
+    await sendFreshchatMessage(conversationId, cleanedResponse, { choices });
+    await analytics.record('bot_reply', conversationId);
 
     if (needsEscalation) {
       log('🚨', '═'.repeat(70));
       log('🚨', 'ESCALATION TRIGGERED!');
       log('🚨', '═'.repeat(70));
       
-      const escalated = await escalateToHuman(conversationId);
+      const escalated = await escalateToHuman(conversationId, {
+        escalatedBy: 'bot',
+        ...escalation,
+        message: messageContent
+      });
       
       if (escalated) {
         log('✅', 'Successfully escalated to human agent');
@@ -725,11 +1668,22 @@ async function processMessage(conversationId, messageContent) {
     log('💥', 'Error:', error.message);
     log('💥', 'Stack:', error.stack);
     log('💥', '═'.repeat(70));
+
+    // A Freshchat outage is not a reason to hand the chat to a person —
+    // the handover would go through the same failing API
+    if (error.deliveryFailed || error.code === 'CIRCUIT_OPEN') {
+      log('⚠️', `Not escalating ${conversationId}: Freshchat delivery failed`);
+      return;
+    }
     
    try {
-     if (HUMAN_AGENT_ID) {
-       await escalateToHuman(conversationId);
-     }
+     await escalateToHuman(conversationId, {
+       escalatedBy: 'bot',
+       trigger: 'error',
+       reason: `Processing error: ${error.message}`,
+       message: messageContent,
+       deferrable: false
+     });
     } catch (fallbackError) {
       log('❌', 'Failed during fallback handling:', fallbackError.message);
     }
@@ -743,6 +1697,7 @@ function extractConversationId(data) {
          data?.message?.conversation_id ||
          data?.assignment?.conversation?.id ||
          data?.assignment?.conversation_id ||
+         data?.resolve?.conversation?.conversation_id ||
          null;
 }
 
@@ -756,6 +1711,20 @@ function extractAssignedAgentId(data, actor) {
          null;
 }
 
+// Dedupe keys for a webhook: the event itself (Freshchat's event_id when
+// present, otherwise a hash of the raw body — retries resend the same bytes)
+// plus the message ID for new messages
+function getWebhookDedupeKeys(req, webhookBody) {
+  const eventId = webhookBody?.event_id ||
+    (req.rawBody ? crypto.createHash('sha256').update(req.rawBody).digest('hex') : null);
+  const messageId = webhookBody?.action === 'message_create' ? webhookBody?.data?.message?.id : null;
+
+  return [
+    eventId ? `event:${eventId}` : null,
+    messageId ? `message:${messageId}` : null
+  ];
+}
+
 // Check if this is an assignment-related event
 function isAssignmentEvent(action, data) {
   const assignmentActions = [
@@ -773,28 +1742,42 @@ function isAssignmentEvent(action, data) {
   return assignmentActions.includes(action) || hasAssignmentData;
 }
 
-// Webhook handler for Freshchat
-app.post('/freshchat-webhook', async (req, res) => {
+// Webhook handler for Freshchat (signature checked before anything else runs)
+const verifyWebhookSignature = requireFreshchatSignature({
+  enabled: VERIFY_WEBHOOK_SIGNATURE,
+  publicKey: WEBHOOK_PUBLIC_KEY
+});
+
+app.post('/freshchat-webhook', verifyWebhookSignature, async (req, res) => {
   res.status(200).json({ success: true });
   
   const webhookBody = req.body;
   storeWebhook(webhookBody);
   
-  log('📥', '═'.repeat(70));
-  log('📥', 'WEBHOOK RECEIVED');
-  log('📥', '═'.repeat(70));
+  log('📥', `Webhook received: ${webhookBody?.action || 'unknown action'}`);
   log('📋', 'Full webhook body:', webhookBody);
   
   try {
     const { actor, action, data } = webhookBody;
+    metrics.webhooks.inc({ action: action || 'unknown' });
+
+    const duplicateKey = webhookDeduplicator.check(getWebhookDedupeKeys(req, webhookBody), action);
+    if (duplicateKey) {
+      metrics.duplicateWebhooks.inc({ action: action || 'unknown' });
+      log('♻️', `DUPLICATE webhook ignored (${duplicateKey}, action=${action})`);
+      return;
+    }
     
     const conversationId = extractConversationId(data);
+    log.annotate({ conversation_id: conversationId || data?.message?.conversation_id });
     const assignedAgentId = extractAssignedAgentId(data, actor);
     
     const changes = data?.changes?.model_changes;
     const newAssignedAgentId = changes?.assigned_agent_id?.[1] || assignedAgentId;
     const oldAssignedAgentId = changes?.assigned_agent_id?.[0];
     
+    const isEscalated = conversationId ? await store.isEscalated(conversationId) : false;
+
     log('📋', 'Extracted Info:', {
       action,
       actor_type: actor?.actor_type,
@@ -804,8 +1787,7 @@ app.post('/freshchat-webhook', async (req, res) => {
       newAssignedAgentId,
       oldAssignedAgentId,
       has_changes: !!changes,
-      escalated_count: escalatedConversations.size,
-      is_in_escalated: conversationId ? escalatedConversations.has(conversationId) : false,
+      is_in_escalated: isEscalated,
       bot_agent_id: BOT_AGENT_ID
     });
     
@@ -822,7 +1804,7 @@ app.post('/freshchat-webhook', async (req, res) => {
       log('🔄', `Old Agent: ${oldAssignedAgentId || 'unknown'}`);
       log('🔄', `New Agent: ${effectiveAgentId}`);
       log('🔄', `Bot Agent ID: ${BOT_AGENT_ID}`);
-      log('🔄', `Is in escalated list: ${escalatedConversations.has(conversationId)}`);
+      log('🔄', `Is in escalated list: ${isEscalated}`);
       log('🔄', '═'.repeat(70));
       
       if (effectiveAgentId) {
@@ -843,9 +1825,18 @@ app.post('/freshchat-webhook', async (req, res) => {
             
         } else {
           log('👤', `Conversation assigned to human agent: ${effectiveAgentId}`);
-          if (!escalatedConversations.has(conversationId)) {
+          if (!isEscalated) {
             log('➕', 'Adding to escalated list (assigned to human)');
-            escalatedConversations.add(conversationId);
+            await store.escalate(conversationId, {
+              escalatedBy: actor?.actor_id ? `${actor.actor_type}:${actor.actor_id}` : 'freshchat',
+              trigger: 'agent_assignment',
+              reason: 'Assigned to an agent in Freshchat',
+              assigned_agent_id: effectiveAgentId
+            });
+            await analytics.record('escalation', conversationId, {
+              trigger: 'agent_assignment',
+              escalated_by: actor?.actor_id ? `${actor.actor_type}:${actor.actor_id}` : 'freshchat'
+            });
           }
         }
       }
@@ -858,17 +1849,20 @@ app.post('/freshchat-webhook', async (req, res) => {
       const messageConversationId = data?.message?.conversation_id;
       const messageContent = data?.message?.message_parts?.[0]?.text?.content;
       const agentId = actor?.actor_id;
+      const isMessageEscalated = messageConversationId
+        ? await store.isEscalated(messageConversationId)
+        : false;
       
       log('💬', 'Agent message detected:', {
         conversationId: messageConversationId,
         agentId,
         isBotAgent: agentId === BOT_AGENT_ID,
-        isEscalated: escalatedConversations.has(messageConversationId),
+        isEscalated: isMessageEscalated,
         messagePreview: messageContent?.substring(0, 50)
       });
       
       if (messageConversationId && messageContent && agentId && agentId !== BOT_AGENT_ID) {
-        if (escalatedConversations.has(messageConversationId)) {
+        if (isMessageEscalated) {
           const resolutionKeywords = [
             'it seems like you are unavailable at the moment',
             'i am closing the chat for now',
@@ -906,7 +1900,7 @@ app.post('/freshchat-webhook', async (req, res) => {
       const messageParts = data?.message?.message_parts;
       
       // Extract content and detect media
-      const { text, hasImage, hasFile, mediaTypes } = extractMessageContent(messageParts);
+      const { text, hasImage, hasFile, hasAudio, mediaTypes, media } = extractMessageContent(messageParts);
       
       log('🔍', 'User message data:', {
         conversationId: messageConversationId,
@@ -914,8 +1908,9 @@ app.post('/freshchat-webhook', async (req, res) => {
         textPreview: text?.substring(0, 100),
         hasImage,
         hasFile,
+        hasAudio,
         mediaTypes,
-        isEscalated: escalatedConversations.has(messageConversationId)
+        isEscalated: messageConversationId ? await store.isEscalated(messageConversationId) : false
       });
       
       if (!messageConversationId) {
@@ -923,25 +1918,71 @@ app.post('/freshchat-webhook', async (req, res) => {
         return;
       }
 
-      // Handle ANY message with media (image/file)
-      if (hasImage || hasFile) {
+      for (const type of mediaTypes) {
+        metrics.mediaMessages.inc({ type });
+      }
+
+      // The user replied — pending nudge/auto-resolve timers no longer apply
+      await inactivity.userActivity(messageConversationId)
+        .catch(err => log('⚠️', `Failed to record user activity: ${err.message}`));
+
+      // Answers to a pending CSAT survey are handled here and never reach processMessage
+      if (text && !mediaTypes.length) {
+        const answered = await messageQueue.runExclusive(messageConversationId, () => csat.handleReply(messageConversationId, text))
+          .catch(err => {
+            log('⚠️', `Failed to handle CSAT reply: ${err.message}`);
+            return false;
+          });
+        if (answered) {
+          return;
+        }
+      }
+      await analytics.userMessage(messageConversationId);
+
+      // Images (with or without a caption) go to the vision model, voice
+      // notes are transcribed and documents are attached for the assistant
+      // to read — all as part of a normal turn
+      const documentParts = media.filter(m => m.type === 'file' || m.type === 'attachment');
+      const hasVideo = mediaTypes.includes('video');
+      const imagesUsable = !hasImage || VISION_ENABLED;
+      const audioUsable = !hasAudio || TRANSCRIPTION_ENABLED;
+      const documentsUsable = !documentParts.length || DOCUMENTS_ENABLED;
+      if ((hasImage || hasAudio || hasFile) && !hasVideo && imagesUsable && audioUsable && documentsUsable) {
+        log('🖼️', `Media message (${mediaTypes.join(', ')}) queued for the model`);
+        messageQueue.enqueue(messageConversationId, {
+          correlationId: log.context().correlation_id,
+          text,
+          imageParts: media.filter(m => m.type === 'image' || m.type === 'sticker'),
+          audioParts: media.filter(m => m.type === 'audio'),
+          documentParts
+        });
+        return;
+      }
+
+      // Other media (or vision/transcription disabled): predefined response
+      if (hasImage || hasFile || hasAudio) {
         log('🖼️', `Media detected (${mediaTypes.join(', ')}), sending predefined response`);
         if (text) {
-          log('📎', `User also sent text: "${text.substring(0, 50)}..." - ignoring since LLM cannot see image context`);
+          log('📎', `User also sent text: "${log.text(text.substring(0, 50))}..." - ignoring since LLM cannot see image context`);
         }
-        handleMediaMessage(messageConversationId, mediaTypes)
+        messageQueue.runExclusive(messageConversationId, () => handleMediaMessage(messageConversationId, mediaTypes))
           .catch(err => log('❌', 'Error handling media:', err.message));
         return;
       }
 
-      // Process text-only message normally
+      // Process text-only message normally (queued — see messageQueue)
       if (text) {
-        processMessage(messageConversationId, text)
-          .catch(err => log('❌', 'Async processing error:', err.message));
+        messageQueue.enqueue(messageConversationId, { correlationId: log.context().correlation_id, text });
       } else {
         log('⚠️', 'No text content found in message');
       }
       
+    } else if (action === 'conversation_resolution' && conversationId) {
+      log('✅', `Conversation ${conversationId} resolved in Freshchat - cancelling inactivity timers`);
+      await inactivity.cancel(conversationId);
+      await analytics.resolution(conversationId, { resolved_by: actor?.actor_type || 'unknown' });
+      await messageQueue.runExclusive(conversationId, () => startCsatSurvey(conversationId))
+        .catch(err => log('⚠️', `Failed to send CSAT survey: ${err.message}`));
     } else if (!isAssignmentEvent(action, data) && action !== 'message_create') {
       log('ℹ️', `Ignoring webhook: action=${action}`);
     }
@@ -953,7 +1994,7 @@ app.post('/freshchat-webhook', async (req, res) => {
 });
 
 // Debug endpoint to view recent webhooks
-app.get('/debug/webhooks', (req, res) => {
+app.get('/debug/webhooks', requireAuditedRead, (req, res) => {
   res.json({
     count: recentWebhooks.length,
     max_stored: MAX_STORED_WEBHOOKS,
@@ -962,53 +2003,78 @@ app.get('/debug/webhooks', (req, res) => {
 });
 
 // Debug endpoint to view state
-app.get('/debug/state', (req, res) => {
-  res.json({
-    escalated_conversations: Array.from(escalatedConversations),
-    escalated_count: escalatedConversations.size,
-    active_threads: Array.from(conversationThreads.entries()).map(([k, v]) => ({ conversation: k, thread: v })),
-    thread_count: conversationThreads.size,
-    bot_agent_id: BOT_AGENT_ID,
-    human_agent_id: HUMAN_AGENT_ID
-  });
+app.get('/debug/state', requireRead, async (req, res) => {
+  try {
+    const [escalations, threads, routes, deferred] = await Promise.all([
+      store.listEscalations(),
+      llm.listConversations(),
+      store.listRoutes(),
+      store.listDeferredEscalations()
+    ]);
+
+    res.json({
+      state_backend: store.backend.name,
+      llm_provider: llm.name,
+      escalated_conversations: escalations,
+      escalated_count: escalations.length,
+      routing_decisions: routes,
+      deferred_escalations: deferred,
+      business_hours: BUSINESS_CALENDAR
+        ? {
+          timezone: BUSINESS_CALENDAR.timezone,
+          team_online: BUSINESS_CALENDAR.isOpen(),
+          next_opening: BUSINESS_CALENDAR.nextOpening()?.toISOString() || null,
+          out_of_hours_mode: OUT_OF_HOURS_MODE
+        }
+        : null,
+      escalation_config: {
+        keyword_fallback: ESCALATION_KEYWORD_FALLBACK,
+        keyword_count: ESCALATION_KEYWORDS.length,
+        teams: ESCALATION_TEAMS,
+        default_route: escalationRouter.defaultRoute,
+        routes: escalationRouter.rules(),
+        handoff_intent: HANDOFF_INTENT_ENABLED,
+        handoff_intent_threshold: HANDOFF_INTENT_THRESHOLD
+      },
+      thread_lifecycle: threadLifecycle.config(),
+      analytics: analytics.stats(),
+      active_threads: threads,
+      thread_count: threads.length,
+      bot_agent_id: BOT_AGENT_ID,
+      human_agent_id: HUMAN_AGENT_ID,
+      webhook_dedupe: webhookDeduplicator.stats(),
+      message_queue: messageQueue.stats(),
+      freshchat_circuit: freshchat.circuit(),
+      dead_letters: (await store.listDeadLetters()).length,
+      scheduler: scheduler.stats(),
+      tools: toolRegistry.names()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Manual force return to bot
-app.post('/force-return-to-bot/:conversationId', async (req, res) => {
+// Same as /return-to-bot, always with the welcome message
+app.post('/force-return-to-bot/:conversationId', requireOperator, async (req, res) => {
   const { conversationId } = req.params;
-  
+
   log('🔧', `FORCE RETURN TO BOT: ${conversationId}`);
-  
+
   try {
-    escalatedConversations.delete(conversationId);
-    
-    if (BOT_AGENT_ID) {
-      try {
-        await axios.put(
-          `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-          { assigned_agent_id: BOT_AGENT_ID, status: 'assigned' },
-          { headers: { 'Authorization': `Bearer ${FRESHCHAT_API_KEY}`, 'Content-Type': 'application/json' } }
-        );
-      } catch (apiErr) {
-        log('⚠️', `API reassignment failed: ${apiErr.message}`);
-      }
-    }
-    
-    try {
-      await sendFreshchatMessage(conversationId, "I'm back! How can I help you today? 😊");
-    } catch (msgErr) {
-      log('⚠️', `Failed to send message: ${msgErr.message}`);
-    }
-    
-    res.json({ success: true, message: 'Force returned to bot', conversation_id: conversationId });
-    
+    const success = await messageQueue.runExclusive(conversationId, () => returnToBot(conversationId, true, true));
+    res.status(success ? 200 : 500).json({
+      success,
+      message: success ? 'Force returned to bot' : 'Return to bot failed',
+      conversation_id: conversationId
+    });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
 // Other endpoints
-app.post('/test-message', async (req, res) => {
+app.post('/test-message', requireOperator, async (req, res) => {
   const { conversation_id, message } = req.body;
   
   if (!conversation_id || !message) {
@@ -1022,53 +2088,220 @@ app.post('/test-message', async (req, res) => {
       return res.json({ success: false, message: 'Conversation is with human agent', conversation_id });
     }
 
-    let threadId = conversationThreads.get(conversation_id);
-    const { response, threadId: newThreadId, needsEscalation } = await getAssistantResponse(message, threadId);
-    
-    conversationThreads.set(conversation_id, newThreadId);
-    
-    const cleanedResponse = formatForWhatsApp(stripCitations(response));
-    await sendFreshchatMessage(conversation_id, cleanedResponse);
-    
-    if (needsEscalation) {
-      await escalateToHuman(conversation_id);
-    }
+    const { response, needsEscalation, escalation } = await messageQueue.runExclusive(conversation_id, async () => {
+      const result = await getAssistantResponse(conversation_id, message);
+      
+      const cleanedResponse = await formatReply(conversation_id, result.response);
+      await sendFreshchatMessage(conversation_id, cleanedResponse, { choices: result.choices });
+      
+      if (result.needsEscalation) {
+        await escalateToHuman(conversation_id, { escalatedBy: 'test-message', ...result.escalation, message });
+      }
+
+      return result;
+    });
     
-    res.json({ success: true, conversation_id, response: response.substring(0, 200) + '...', escalated: needsEscalation });
+    res.json({
+      success: true,
+      conversation_id,
+      response: response.substring(0, 200) + '...',
+      escalated: needsEscalation,
+      escalation: escalation || undefined
+    });
     
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/reset-escalation/:conversationId', (req, res) => {
+// Full reset: escalation state, pending timers/choices, and the thread
+// (retired like a rotation, so it is summarised into memory first).
+// ?forget=true also drops the conversation's long-term memory.
+app.post('/reset-escalation/:conversationId', requireOperator, async (req, res) => {
   const { conversationId } = req.params;
-  escalatedConversations.delete(conversationId);
-  conversationThreads.delete(conversationId);
-  res.json({ success: true, message: 'Escalation reset' });
+  const forget = req.query.forget === 'true';
+  try {
+    await messageQueue.runExclusive(conversationId, async () => {
+      await store.clearEscalation(conversationId);
+      await store.clearDeferredEscalation(conversationId);
+      await store.clearChoices(conversationId);
+      await inactivity.cancel(conversationId);
+      await threadLifecycle.retire(conversationId, { reason: 'manual reset', summarise: THREAD_MEMORY_ENABLED && !forget });
+      if (forget) {
+        await threadLifecycle.forget(conversationId);
+      }
+    });
+    res.json({ success: true, message: 'Escalation reset', memory_cleared: forget });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Messages Freshchat did not accept, oldest first
+app.get('/dead-letters', requireAuditedRead, async (req, res) => {
+  try {
+    const letters = await store.listDeadLetters();
+    res.json({ count: letters.length, circuit: freshchat.circuit(), dead_letters: letters });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/return-to-bot/:conversationId', async (req, res) => {
+// Resend every dead letter (e.g. after an outage); a failure does not stop
+// the rest, stale letters are skipped
+app.post('/dead-letters/retry', requireOperator, async (req, res) => {
+  try {
+    const results = [];
+    for (const letter of await store.listDeadLetters()) {
+      try {
+        const result = await messageQueue.runExclusive(letter.conversation, () => retryDeadLetter(letter));
+        results.push({ id: letter.id, ...result });
+      } catch (error) {
+        results.push({ id: letter.id, delivered: false, error: error.message });
+      }
+    }
+    const failed = results.filter(r => r.error).length;
+    res.json({
+      success: failed === 0,
+      delivered: results.filter(r => r.delivered).length,
+      skipped: results.filter(r => r.skipped).length,
+      failed,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/dead-letters/:id/retry', requireOperator, async (req, res) => {
+  const letter = await store.getDeadLetter(req.params.id).catch(() => null);
+  if (!letter) {
+    return res.status(404).json({ success: false, error: 'Dead letter not found' });
+  }
+
+  try {
+    const result = await messageQueue.runExclusive(letter.conversation, () => retryDeadLetter(letter));
+    if (result.skipped) {
+      return res.status(409).json({ success: false, id: letter.id, conversation_id: letter.conversation, skipped: result.skipped });
+    }
+    res.json({ success: true, id: letter.id, conversation_id: letter.conversation });
+  } catch (error) {
+    res.status(502).json({ success: false, id: letter.id, error: error.message });
+  }
+});
+
+app.delete('/dead-letters/:id', requireOperator, async (req, res) => {
+  try {
+    const deleted = await store.deleteDeadLetter(req.params.id);
+    res.status(deleted ? 200 : 404).json({ success: deleted, id: req.params.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/return-to-bot/:conversationId', requireOperator, async (req, res) => {
   const { conversationId } = req.params;
   const sendMessage = req.query.send_message !== 'false';
   
   try {
-    const success = await returnToBot(conversationId, sendMessage, true);
+    const success = await messageQueue.runExclusive(conversationId, () => returnToBot(conversationId, sendMessage, true));
     res.json({ success, conversation_id: conversationId });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/escalated', (req, res) => {
-  res.json({
-    escalated_conversations: Array.from(escalatedConversations),
-    count: escalatedConversations.size,
-    active_threads: conversationThreads.size
-  });
+app.get('/escalated', requireRead, async (req, res) => {
+  try {
+    const [escalations, conversations] = await Promise.all([
+      store.listEscalations(),
+      llm.listConversations()
+    ]);
+    res.json({
+      escalated_conversations: escalations.map(e => e.conversation),
+      count: escalations.length,
+      active_threads: conversations.length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/metrics', METRICS_PUBLIC ? (req, res, next) => next() : requireRead, async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4').send(await metricsRegistry.render());
+  } catch (error) {
+    res.status(500).type('text/plain').send(`# metrics unavailable: ${error.message}\n`);
+  }
 });
 
-app.get('/health', (req, res) => {
+// Daily/weekly aggregates: ?period=daily|weekly&from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+app.get('/analytics/report', requireRead, async (req, res) => {
+  const { period = 'daily', from, to, format = 'json' } = req.query;
+  if (!PERIODS.includes(period)) {
+    return res.status(400).json({ error: `period must be one of ${PERIODS.join(', ')}` });
+  }
+
+  try {
+    const rows = await analytics.report({ period, from, to });
+    if (format === 'csv') {
+      res.attachment(`analytics-${period}.csv`).type('text/csv').send(reportToCsv(rows));
+      return;
+    }
+    res.json({ period, timezone: analytics.timezone, from: from || null, to: to || null, rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Raw lifecycle events: ?from=YYYY-MM-DD&to=YYYY-MM-DD&format=json|csv
+app.get('/analytics/events', requireAuditedRead, async (req, res) => {
+  const { from, to, format = 'json' } = req.query;
+  try {
+    const events = await analytics.events({ from, to });
+    if (format === 'csv') {
+      res.attachment('analytics-events.csv').type('text/csv').send(eventsToCsv(events));
+      return;
+    }
+    res.json({ timezone: analytics.timezone, count: events.length, events });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CSAT answers with their thread IDs: ?format=json|csv
+app.get('/analytics/csat', requireAuditedRead, async (req, res) => {
+  try {
+    const responses = await store.listCsatResponses();
+    if (req.query.format === 'csv') {
+      res.attachment('csat.csv').type('text/csv').send(toCsv(responses, [
+        'conversation', 'thread_id', 'rating', 'comment', 'sent_at', 'rated_at'
+      ]));
+      return;
+    }
+    const rated = responses.filter(r => typeof r.rating === 'number');
+    res.json({
+      count: responses.length,
+      average: rated.length ? Number((rated.reduce((sum, r) => sum + r.rating, 0) / rated.length).toFixed(2)) : null,
+      responses
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/health', async (req, res) => {
+  let counts = null;
+  try {
+    const [escalations, conversations] = await Promise.all([
+      store.listEscalations(),
+      llm.listConversations()
+    ]);
+    counts = { threads: conversations.length, escalations: escalations.length };
+  } catch (error) {
+    log('⚠️', `State store unavailable for health check: ${error.message}`);
+  }
+
   res.json({ 
     status: 'healthy',
     version: '9.6.0',
@@ -1079,19 +2312,22 @@ app.get('/health', (req, res) => {
       bot_agent_id: BOT_AGENT_ID || 'NOT SET'
     },
     stats: {
-      activeThreads: conversationThreads.size,
-      escalatedConversations: escalatedConversations.size
+      stateBackend: store.backend.name,
+      llmProvider: llm.name,
+      activeThreads: counts ? counts.threads : null,
+      escalatedConversations: counts ? counts.escalations : null
     }
   });
 });
 
-app.get('/test-config', async (req, res) => {
+app.get('/test-config', requireRead, async (req, res) => {
   const results = {
     timestamp: new Date().toISOString(),
     environment: {
       FRESHCHAT_API_KEY: !!FRESHCHAT_API_KEY,
       FRESHCHAT_API_URL: FRESHCHAT_API_URL,
       OPENAI_API_KEY: !!OPENAI_API_KEY,
+      LLM_PROVIDER: LLM_PROVIDER,
       ASSISTANT_ID: !!ASSISTANT_ID,
       BOT_AGENT_ID: BOT_AGENT_ID || 'Not set',
       HUMAN_AGENT_ID: HUMAN_AGENT_ID || 'Not set'
@@ -1107,31 +2343,26 @@ app.get('/test-config', async (req, res) => {
   }
 
   try {
-    await axios.get(`${FRESHCHAT_API_URL}/agents`, {
-      headers: { 'Authorization': `Bearer ${FRESHCHAT_API_KEY}` },
-      timeout: 5000
-    });
+    // No retries — this should report the current state
+    await freshchat.get('/agents', { timeout: 5000, retries: 0 });
     results.tests.freshchat = '✅ Connected';
   } catch (error) {
-    results.tests.freshchat = `❌ Failed: ${error.response?.status}`;
+    results.tests.freshchat = `❌ Failed: ${error.response?.status || error.code}`;
   }
 
   res.json(results);
 });
 
-app.get('/list-agents', async (req, res) => {
+app.get('/list-agents', requireRead, async (req, res) => {
   try {
-    const response = await axios.get(`${FRESHCHAT_API_URL}/agents`, {
-      headers: { 'Authorization': `Bearer ${FRESHCHAT_API_KEY}` },
-      timeout: 10000
-    });
+    const response = await freshchat.get('/agents');
     res.json({ success: true, agents: response.data.agents || response.data });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/', (req, res) => {
+app.get('/', requireRead, (req, res) => {
   res.json({
     name: 'Freshchat-OpenAI Integration',
     version: '9.6.0',
@@ -1139,19 +2370,34 @@ app.get('/', (req, res) => {
     features: {
       auto_assign: '✅ Auto-assigns truly unassigned conversations to bot agent',
       group_respect: '✅ Respects group/team assignments — bot will NOT steal from teams',
-      escalation: '✅ Escalates to human agent on keyword detection',
+      escalation: ESCALATION_KEYWORD_FALLBACK
+        ? '✅ Escalates via the escalate_to_human tool (keyword matching as fallback)'
+        : '✅ Escalates via the escalate_to_human tool',
       de_escalation: '✅ Returns to bot on resolution keywords or manual reassignment',
       reopen_handling: '✅ Properly handles reopened conversations after human resolution',
-      media_handling: '✅ Responds to images/files (with or without text) with predefined message'
+      media_handling: VISION_ENABLED
+        ? '✅ Images (with captions) are read by the vision model; other files get a predefined message'
+        : '✅ Responds to images/files (with or without text) with predefined message',
+      voice_notes: TRANSCRIPTION_ENABLED
+        ? '✅ Voice notes are transcribed, answered like text and posted as a private note'
+        : '➖ Voice notes get the predefined media message',
+      documents: DOCUMENTS_ENABLED
+        ? '✅ PDFs/documents are attached to the conversation for the assistant to read'
+        : '➖ Documents get the predefined media message'
     },
     important: {
       bot_agent_id: BOT_AGENT_ID || '⚠️ NOT SET - Use /list-agents to find it!'
     },
+    auth: 'All endpoints except /health and the webhook need an API key (Authorization: Bearer <key> or X-API-Key)',
     endpoints: {
       webhook: 'POST /freshchat-webhook',
       force_return: 'POST /force-return-to-bot/:conversationId',
       debug_webhooks: 'GET /debug/webhooks',
       debug_state: 'GET /debug/state',
+      analytics_report: 'GET /analytics/report?period=daily|weekly&format=json|csv',
+      analytics_events: 'GET /analytics/events?format=json|csv',
+      analytics_csat: 'GET /analytics/csat?format=json|csv',
+      dead_letters: 'GET /dead-letters, POST /dead-letters/:id/retry, POST /dead-letters/retry',
       list_agents: 'GET /list-agents'
     }
   });
@@ -1160,6 +2406,7 @@ app.get('/', (req, res) => {
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
+  scheduler.start();
   console.log('\n' + '='.repeat(70));
   console.log('🚀 Freshchat-OpenAI Integration v9.6.0');
   console.log('='.repeat(70));
@@ -1168,11 +2415,14 @@ app.listen(PORT, () => {
   console.log(`👤 Human Agent ID: ${HUMAN_AGENT_ID || '⚠️ NOT SET'}`);
   console.log(`✨ Auto-assign: ENABLED (respects group assignments)`);
   console.log(`🔄 Reopen handling: ENABLED`);
-  console.log(`🖼️ Media handling: ENABLED (text+image treated same as image-only)`);
+  console.log(`🖼️ Media handling: ${VISION_ENABLED ? 'VISION (images sent to model)' : 'ENABLED (text+image treated same as image-only)'}`);
   console.log('='.repeat(70));
-  console.log('📌 Debug endpoints:');
+  console.log('📌 Debug endpoints (API key required):');
   console.log('   GET /debug/webhooks - View recent webhooks');
   console.log('   GET /debug/state - View escalation state');
+  console.log(`   GET /metrics - Prometheus metrics${METRICS_PUBLIC ? ' (public)' : ''}`);
+  console.log('   GET /analytics/report - Daily/weekly conversation analytics (JSON or CSV)');
+  console.log('   GET /dead-letters - Messages Freshchat did not accept (retry with POST)');
   console.log('   GET /list-agents - Find agent IDs');
   console.log('='.repeat(70) + '\n');
 });
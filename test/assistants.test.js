@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createAssistantsProvider } = require('../lib/providers/assistants');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stand-in for the SDK's AssistantStream: emits run.created, then settles
+// with `run` after `delayMs` unless aborted first
+function fakeStream(run, delayMs) {
+  const stream = new EventEmitter();
+  let abort;
+  const aborted = new Promise((resolve, reject) => { abort = reject; });
+  stream.abort = () => abort(new Error('Request was aborted.'));
+  stream.finalRun = () => {
+    setImmediate(() => stream.emit('event', { event: 'thread.run.created', data: { id: run.id } }));
+    return Promise.race([sleep(delayMs).then(() => run), aborted]);
+  };
+  return stream;
+}
+
+function createFakeOpenAI({ firstStreamMs, followUpStreamMs }) {
+  const calls = { cancelled: [], followUpStreams: 0 };
+  const toolRun = {
+    id: 'run_1',
+    status: 'requires_action',
+    required_action: {
+      type: 'submit_tool_outputs',
+      submit_tool_outputs: { tool_calls: [{ id: 'call_1', function: { name: 'slow_tool', arguments: '{}' } }] }
+    }
+  };
+
+  const openai = {
+    beta: {
+      threads: {
+        create: async () => ({ id: 'thread_1' }),
+        messages: {
+          create: async () => ({}),
+          list: async () => ({ data: [{ role: 'assistant', created_at: 1, content: [{ text: { value: 'Done' } }] }] })
+        },
+        runs: {
+          stream: () => fakeStream(toolRun, firstStreamMs),
+          submitToolOutputsStream: () => {
+            calls.followUpStreams++;
+            return fakeStream({ id: 'run_1', status: 'completed' }, followUpStreamMs);
+          },
+          cancel: async (threadId, runId) => calls.cancelled.push(runId)
+        }
+      }
+    }
+  };
+  return { openai, calls };
+}
+
+function createProvider(openai, { toolMs, runTimeoutMs }) {
+  const threads = new Map();
+  return createAssistantsProvider({
+    openai,
+    assistantId: 'asst_1',
+    runTimeoutMs,
+    events: new EventEmitter(),
+    store: {
+      getThread: async id => threads.get(id) || null,
+      setThread: async (id, threadId) => threads.set(id, threadId)
+    },
+    toolRegistry: {
+      execute: async calls => {
+        await sleep(toolMs);
+        return calls.map(call => ({ tool_call_id: call.id, output: '{}' }));
+      }
+    }
+  });
+}
+
+test('a run that completes after a tool call returns the reply', async () => {
+  const { openai, calls } = createFakeOpenAI({ firstStreamMs: 5, followUpStreamMs: 5 });
+  const provider = createProvider(openai, { toolMs: 5, runTimeoutMs: 1000 });
+
+  const result = await provider.respond({ conversationId: 'c1', message: 'hi' });
+
+  assert.equal(result.text, 'Done');
+  assert.equal(calls.followUpStreams, 1);
+  assert.deepEqual(calls.cancelled, []);
+});
+
+test('the run timeout aborts the stream opened after a tool call', async () => {
+  const { openai, calls } = createFakeOpenAI({ firstStreamMs: 5, followUpStreamMs: 2000 });
+  const provider = createProvider(openai, { toolMs: 10, runTimeoutMs: 200 });
+
+  const startedAt = Date.now();
+  await assert.rejects(provider.respond({ conversationId: 'c1', message: 'hi' }), /Assistant timeout/);
+
+  assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+  assert.equal(calls.followUpStreams, 1);
+  assert.deepEqual(calls.cancelled, ['run_1']);
+});
+
+test('no follow-up stream is opened when a tool outlasts the deadline', async () => {
+  const { openai, calls } = createFakeOpenAI({ firstStreamMs: 5, followUpStreamMs: 2000 });
+  const provider = createProvider(openai, { toolMs: 300, runTimeoutMs: 200 });
+
+  const startedAt = Date.now();
+  await assert.rejects(provider.respond({ conversationId: 'c1', message: 'hi' }), /Assistant timeout/);
+
+  assert.ok(Date.now() - startedAt < 1000, `took ${Date.now() - startedAt}ms`);
+  assert.equal(calls.followUpStreams, 0);
+  assert.deepEqual(calls.cancelled, ['run_1']);
+});
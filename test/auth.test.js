@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { parseApiKeys, createAuth } = require('../lib/auth');
+
+const KEYS = parseApiKeys('dashboard:read-key:read,ops:op:er:key:operator');
+
+// Minimal req/res pair for the middleware; `finish` fires on send
+function call(middleware, { key, method = 'GET', url = '/debug/webhooks' } = {}) {
+  const headers = key ? { 'x-api-key': key } : {};
+  const req = {
+    method,
+    path: url.split('?')[0],
+    originalUrl: url,
+    params: {},
+    body: {},
+    ip: '127.0.0.1',
+    get: name => headers[name.toLowerCase()]
+  };
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.emit('finish'); return this; }
+  });
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; res.json({ success: true }); });
+  return { req, res, nextCalled };
+}
+
+async function readAudit(file) {
+  // Audit lines are appended asynchronously
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean);
+      if (lines.length) return lines.map(line => JSON.parse(line));
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return [];
+}
+
+function tmpAuditFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-')), 'audit.log');
+}
+
+test('parseApiKeys reads name:key:role entries and defaults to read', () => {
+  const keys = parseApiKeys(' a:one:operator , b:two ');
+
+  assert.deepEqual(keys.map(({ name, role }) => ({ name, role })), [
+    { name: 'a', role: 'operator' },
+    { name: 'b', role: 'read' }
+  ]);
+  assert.deepEqual(parseApiKeys(''), []);
+  assert.deepEqual(parseApiKeys(undefined), []);
+});
+
+test('parseApiKeys keeps colons inside the key', () => {
+  const auth = createAuth({ keys: KEYS, auditLogPath: tmpAuditFile() });
+  const req = { get: name => (name === 'X-API-Key' ? 'op:er:key' : undefined) };
+
+  assert.equal(auth.identify(req).name, 'ops');
+  assert.equal(auth.identify(req).role, 'operator');
+});
+
+test('parseApiKeys rejects invalid entries and change_me placeholders', () => {
+  assert.throws(() => parseApiKeys('lonely'), /Invalid ADMIN_API_KEYS entry/);
+  assert.throws(() => parseApiKeys('a:key:admin'), /Invalid ADMIN_API_KEYS entry/);
+  assert.throws(() => parseApiKeys('a::read'), /Invalid ADMIN_API_KEYS entry/);
+  assert.throws(() => parseApiKeys('ops:change_me_please:operator'), /change_me placeholder/);
+});
+
+test('requireRole answers 401 without a known key and 403 without the role', () => {
+  const auth = createAuth({ keys: KEYS, auditLogPath: tmpAuditFile() });
+  const requireOperator = auth.requireRole('operator');
+
+  const missing = call(requireOperator);
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.nextCalled, false);
+
+  const unknown = call(requireOperator, { key: 'nope' });
+  assert.equal(unknown.res.statusCode, 401);
+
+  const forbidden = call(requireOperator, { key: 'read-key' });
+  assert.equal(forbidden.res.statusCode, 403);
+  assert.equal(forbidden.nextCalled, false);
+});
+
+test('requireRole lets higher roles through and sets req.principal', () => {
+  const auth = createAuth({ keys: KEYS, auditLogPath: tmpAuditFile() });
+  const requireRead = auth.requireRole('read');
+
+  const read = call(requireRead, { key: 'read-key' });
+  assert.equal(read.nextCalled, true);
+  assert.deepEqual(read.req.principal, { name: 'dashboard', role: 'read' });
+
+  const operator = call(requireRead, { key: 'op:er:key' });
+  assert.equal(operator.nextCalled, true);
+  assert.deepEqual(operator.req.principal, { name: 'ops', role: 'operator' });
+});
+
+test('operator requests are audited, denied ones included', async () => {
+  const auditLogPath = tmpAuditFile();
+  const auth = createAuth({ keys: KEYS, auditLogPath });
+  const requireOperator = auth.requireRole('operator');
+
+  call(requireOperator, { key: 'read-key', method: 'POST', url: '/return-to-bot/c1' });
+  const denied = await readAudit(auditLogPath);
+  assert.equal(denied.length, 1);
+  assert.equal(denied[0].principal, 'dashboard');
+  assert.equal(denied[0].status, 403);
+  assert.equal(denied[0].outcome, 'denied');
+
+  fs.unlinkSync(auditLogPath);
+  call(requireOperator, { key: 'op:er:key', method: 'POST', url: '/return-to-bot/c1' });
+  const [entry] = await readAudit(auditLogPath);
+  assert.equal(entry.principal, 'ops');
+  assert.equal(entry.path, '/return-to-bot/c1');
+  assert.equal(entry.outcome, 'ok');
+});
+
+test('read routes are audited only when they opt in', async () => {
+  const auditLogPath = tmpAuditFile();
+  const auth = createAuth({ keys: KEYS, auditLogPath });
+
+  call(auth.requireRole('read'), { key: 'read-key', url: '/debug/state' });
+  call(auth.requireRole('read', { audit: true }), { key: 'read-key', url: '/analytics/events?from=2026-01-01' });
+
+  const entries = await readAudit(auditLogPath);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const all = fs.readFileSync(auditLogPath, 'utf8').trim().split('\n');
+
+  assert.equal(all.length, 1);
+  assert.equal(entries[0].principal, 'dashboard');
+  assert.equal(entries[0].role, 'read');
+  assert.equal(entries[0].method, 'GET');
+  assert.equal(entries[0].path, '/analytics/events?from=2026-01-01');
+  assert.equal(entries[0].status, 200);
+});
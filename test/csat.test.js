@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RATING_CHOICES, parseRating, createCsatSurvey } = require('../lib/csat');
+
+// In-memory stand-in for the store methods the survey uses
+function fakeStore() {
+  const surveys = new Map();
+  const responses = [];
+  return {
+    responses,
+    async getSurvey(id) { return surveys.get(id) || null; },
+    async setSurvey(id, survey) { surveys.set(id, survey); },
+    async clearSurvey(id) { surveys.delete(id); },
+    async clearChoices() {},
+    async saveCsatResponse(id, response) {
+      const saved = { conversation: id, ...response };
+      responses.push(saved);
+      return saved;
+    }
+  };
+}
+
+function survey(options = {}) {
+  const sent = [];
+  const escalated = [];
+  const store = fakeStore();
+  const csat = createCsatSurvey({
+    store,
+    enabled: true,
+    send: async (conversationId, key, extra = {}) => { sent.push({ conversationId, key, ...extra }); },
+    escalate: async (conversationId, response) => { escalated.push({ conversationId, response }); },
+    getThreadId: async () => 'thread_1',
+    ...options
+  });
+  return { csat, store, sent, escalated };
+}
+
+test('the rating prompt offers all five choices as buttons', async () => {
+  const { csat, sent } = survey();
+
+  assert.equal(await csat.start('c1'), true);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].key, 'prompt');
+  assert.deepEqual(sent[0].choices, RATING_CHOICES);
+  assert.equal(RATING_CHOICES.length, 5);
+  // Above the default QUICK_REPLY_MAX_BUTTONS of 3, so the cap is lifted
+  assert.ok(sent[0].maxButtons >= RATING_CHOICES.length);
+});
+
+test('start does nothing when disabled or a survey is already pending', async () => {
+  const disabled = survey({ enabled: false });
+  assert.equal(await disabled.csat.start('c1'), false);
+  assert.equal(disabled.sent.length, 0);
+
+  const { csat, sent } = survey();
+  await csat.start('c1');
+  assert.equal(await csat.start('c1'), false);
+  assert.equal(sent.length, 1);
+});
+
+test('parseRating reads taps, labels, scores and stars', () => {
+  assert.equal(parseRating('5'), 5);
+  assert.equal(parseRating('Good'), 4);
+  assert.equal(parseRating('4/5'), 4);
+  assert.equal(parseRating('3 out of 5'), 3);
+  assert.equal(parseRating('⭐⭐'), 2);
+  assert.equal(parseRating('what about fees?'), null);
+});
+
+test('a good rating is saved with the thread and thanked', async () => {
+  const { csat, store, sent } = survey();
+  await csat.start('c1');
+
+  assert.equal(await csat.handleReply('c1', 'Excellent'), true);
+
+  assert.equal(store.responses.length, 1);
+  assert.equal(store.responses[0].rating, 5);
+  assert.equal(store.responses[0].thread_id, 'thread_1');
+  assert.equal(sent.at(-1).key, 'thanks');
+  assert.equal(await csat.handleReply('c1', 'hello again'), false);
+});
+
+test('a low rating asks for a comment and can escalate', async () => {
+  const { csat, store, sent, escalated } = survey({ escalateLowScore: true });
+  await csat.start('c1');
+
+  assert.equal(await csat.handleReply('c1', '1'), true);
+  assert.equal(sent.at(-1).key, 'followUp');
+
+  assert.equal(await csat.handleReply('c1', 'Too slow'), true);
+  assert.equal(store.responses.at(-1).comment, 'Too slow');
+  assert.equal(sent.at(-1).key, 'escalated');
+  assert.equal(escalated.length, 1);
+  assert.equal(escalated[0].response.rating, 1);
+});
+
+test('a reply that is not a rating drops the survey', async () => {
+  const { csat, store } = survey();
+  await csat.start('c1');
+
+  assert.equal(await csat.handleReply('c1', 'what about fees?'), false);
+  assert.equal(store.responses.length, 0);
+  assert.equal(await store.getSurvey('c1'), null);
+});
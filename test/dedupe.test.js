@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeduplicator } = require('../lib/dedupe');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the first check of a key passes, a repeat is reported as duplicate', () => {
+  const dedupe = createDeduplicator();
+
+  assert.equal(dedupe.check(['event:1', 'message:1'], 'message_create'), null);
+  assert.equal(dedupe.check(['event:1', 'message:1'], 'message_create'), 'event:1');
+});
+
+test('any already seen key makes the event a duplicate', () => {
+  const dedupe = createDeduplicator();
+
+  dedupe.check(['event:1', 'message:1']);
+  // Freshchat retries can carry a new event ID for the same message
+  assert.equal(dedupe.check(['event:2', 'message:1']), 'message:1');
+});
+
+test('missing keys are ignored', () => {
+  const dedupe = createDeduplicator();
+
+  assert.equal(dedupe.check([null, undefined, 'event:1']), null);
+  assert.equal(dedupe.check([null, 'event:2']), null);
+  assert.equal(dedupe.stats().tracked_keys, 2);
+});
+
+test('keys are forgotten after the TTL', async () => {
+  const dedupe = createDeduplicator({ ttlMs: 20 });
+
+  dedupe.check(['event:1']);
+  await sleep(30);
+  assert.equal(dedupe.check(['event:1']), null);
+});
+
+test('the oldest keys are dropped beyond maxEntries on the next check', () => {
+  const dedupe = createDeduplicator({ maxEntries: 2 });
+
+  dedupe.check(['a']);
+  dedupe.check(['b']);
+  dedupe.check(['c']);
+  assert.equal(dedupe.check(['a']), null);
+  assert.equal(dedupe.check(['c']), 'c');
+});
+
+test('stats count checks and duplicates per action', () => {
+  const dedupe = createDeduplicator({ ttlMs: 60000 });
+
+  dedupe.check(['event:1'], 'message_create');
+  dedupe.check(['event:1'], 'message_create');
+  dedupe.check(['event:2'], 'conversation_assignment');
+  dedupe.check(['event:2'], 'conversation_assignment');
+  dedupe.check(['event:2'], 'conversation_assignment');
+
+  const stats = dedupe.stats();
+  assert.equal(stats.checked, 5);
+  assert.equal(stats.duplicates, 3);
+  assert.deepEqual(stats.duplicates_by_action, { message_create: 1, conversation_assignment: 2 });
+  assert.equal(stats.last_duplicate.key, 'event:2');
+  assert.equal(stats.ttl_seconds, 60);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatMessage, parseChannelProfiles, DEFAULT_SPACING_RULES } = require('../lib/formatting');
+
+test('whatsapp profile converts markdown to WhatsApp markup', () => {
+  assert.equal(formatMessage('**Fees** and *notes* and ~~old~~', { profile: 'whatsapp' }), '*Fees* and _notes_ and ~old~');
+  assert.equal(formatMessage('## Admissions', { profile: 'whatsapp' }), '*Admissions*');
+  assert.equal(formatMessage('See [the portal](https://p.edu)', { profile: 'whatsapp' }), 'See the portal: https://p.edu');
+});
+
+test('plain profile strips markup', () => {
+  assert.equal(
+    formatMessage('**Fees** for _BS_ and `code` - [portal](https://p.edu)', { profile: 'plain' }),
+    'Fees for BS and code - https://p.edu'
+  );
+  assert.equal(formatMessage('# Admissions', { profile: 'plain' }), 'ADMISSIONS');
+});
+
+test('web profile keeps markdown as-is', () => {
+  assert.equal(formatMessage('**Fees** for _BS_', { profile: 'web' }), '**Fees** for _BS_');
+});
+
+test('URLs and email addresses keep their underscores and asterisks', () => {
+  const text = 'Fees: https://uni.edu/fee_list_2026/a*b or mail admissions_office@uni.edu.pk';
+
+  assert.equal(formatMessage(text, { profile: 'plain' }), text);
+  assert.equal(formatMessage(text, { profile: 'whatsapp' }), text);
+});
+
+test('markup around a URL or email is still converted', () => {
+  assert.equal(formatMessage('*https://uni.edu/a_b*.', { profile: 'plain' }), 'https://uni.edu/a_b.');
+  assert.equal(formatMessage('_me_too@uni.edu_', { profile: 'plain' }), 'me_too@uni.edu');
+  assert.equal(formatMessage('**www.uni.edu/x_y**', { profile: 'whatsapp' }), '*www.uni.edu/x_y*');
+});
+
+test('code spans keep their content', () => {
+  assert.equal(formatMessage('Run `npm_run_*x*`', { profile: 'plain' }), 'Run npm_run_*x*');
+  assert.equal(formatMessage('Run `npm_run_*x*`', { profile: 'whatsapp' }), 'Run `npm_run_*x*`');
+});
+
+test('bullets use the profile bullet and are set off from paragraphs', () => {
+  assert.equal(
+    formatMessage('Options:\n- BSCS\n- BBA\nPlease reply with one', { profile: 'whatsapp' }),
+    'Options:\n\n• BSCS\n• BBA\n\nPlease reply with one'
+  );
+  assert.equal(formatMessage('Options:\n* BSCS', { profile: 'web' }), 'Options:\n\n- BSCS');
+});
+
+test('spacing rules start a new paragraph', () => {
+  assert.equal(formatMessage('Fees are 50,000.\nWould you like more?'), 'Fees are 50,000.\n\nWould you like more?');
+  assert.equal(formatMessage('Hello!\nHow can I help?'), 'Hello!\n\nHow can I help?');
+  assert.ok(DEFAULT_SPACING_RULES.length > 0);
+});
+
+test('non-string input is returned unchanged', () => {
+  assert.equal(formatMessage(''), '');
+  assert.equal(formatMessage(null), null);
+});
+
+test('parseChannelProfiles maps channels to profiles and rejects unknown ones', () => {
+  assert.deepEqual(parseChannelProfiles('ch1:plain, ch2:web'), { ch1: 'plain', ch2: 'web' });
+  assert.deepEqual(parseChannelProfiles(''), {});
+  assert.throws(() => parseChannelProfiles('ch1:html'), /Unknown format profile "html"/);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createFreshchatClient, parseRetryAfter } = require('../lib/freshchat');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Local stand-in for the Freshchat API: answers with the queued
+// statuses in order (200 once the queue is empty) and records requests
+function createServer() {
+  const server = http.createServer((req, res) => {
+    server.requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+    const { status = 200, headers = {} } = server.responses.shift() || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ status }));
+  });
+  server.requests = [];
+  server.responses = [];
+  return server;
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  server.requests = [];
+  server.responses = [];
+});
+
+function client(options = {}) {
+  return createFreshchatClient({ baseUrl, apiKey: 'key', backoffMs: 1, maxBackoffMs: 5, ...options });
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter('0'), 0);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+
+  const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+  assert.ok(ms > 3000 && ms <= 5000, `got ${ms}`);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 5000).toUTCString()), 0);
+});
+
+test('sends the API key and returns the axios response', async () => {
+  const response = await client().get('/users/1');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(server.requests, [{ method: 'GET', url: '/users/1', authorization: 'Bearer key' }]);
+});
+
+test('retries 5xx responses and reports each retry', async () => {
+  server.responses.push({ status: 500 }, { status: 503 });
+  const retries = [];
+
+  const response = await client({ onRetry: error => retries.push(error.response.status) }).get('/conversations/1');
+
+  assert.equal(response.status, 200);
+  assert.equal(server.requests.length, 3);
+  assert.deepEqual(retries, [500, 503]);
+});
+
+test('gives up after maxRetries with the last error', async () => {
+  server.responses.push({ status: 503 }, { status: 503 }, { status: 503 });
+  const errors = [];
+
+  await assert.rejects(
+    client({ maxRetries: 2, onError: error => errors.push(error) }).get('/conversations/1'),
+    error => error.response.status === 503 && error.attempts === 3
+  );
+  assert.equal(server.requests.length, 3);
+  assert.equal(errors.length, 1);
+});
+
+test('POSTs are only retried when Freshchat cannot have acted on them', async () => {
+  server.responses.push({ status: 503 });
+  await client().post('/conversations/1/messages', { text: 'hi' });
+  assert.equal(server.requests.length, 2);
+
+  server.requests = [];
+  server.responses.push({ status: 500 });
+  await assert.rejects(client().post('/conversations/1/messages', { text: 'hi' }), error => error.response.status === 500);
+  assert.equal(server.requests.length, 1);
+});
+
+test('4xx responses are not retried', async () => {
+  server.responses.push({ status: 404 });
+
+  await assert.rejects(client().get('/conversations/missing'), error => error.response.status === 404);
+  assert.equal(server.requests.length, 1);
+});
+
+test('Retry-After is honoured, but not beyond maxRetryAfterMs', async () => {
+  server.responses.push({ status: 429, headers: { 'Retry-After': '0' } });
+  await client().get('/conversations/1');
+  assert.equal(server.requests.length, 2);
+
+  server.requests = [];
+  server.responses.push({ status: 429, headers: { 'Retry-After': '120' } });
+  await assert.rejects(client({ maxRetryAfterMs: 1000 }).get('/conversations/1'), error => error.response.status === 429);
+  assert.equal(server.requests.length, 1);
+});
+
+test('the circuit counts one failure per request, not per retry', async () => {
+  const freshchat = client({ maxRetries: 3, breakerThreshold: 2 });
+
+  server.responses.push(...Array(4).fill({ status: 503 }));
+  await assert.rejects(freshchat.get('/conversations/1'));
+  assert.equal(server.requests.length, 4);
+  assert.equal(freshchat.circuit().state, 'closed');
+  assert.equal(freshchat.circuit().consecutive_failures, 1);
+
+  server.responses.push(...Array(4).fill({ status: 503 }));
+  await assert.rejects(freshchat.get('/conversations/1'));
+  assert.equal(freshchat.circuit().state, 'open');
+});
+
+test('a success or a 4xx resets the failure count', async () => {
+  const freshchat = client({ maxRetries: 0, breakerThreshold: 2 });
+
+  server.responses.push({ status: 503 });
+  await assert.rejects(freshchat.get('/a'));
+  await freshchat.get('/b');
+  server.responses.push({ status: 503 }, { status: 404 }, { status: 503 });
+  await assert.rejects(freshchat.get('/c'));
+  await assert.rejects(freshchat.get('/d'));
+  await assert.rejects(freshchat.get('/e'));
+
+  assert.equal(freshchat.circuit().state, 'closed');
+  assert.equal(freshchat.circuit().consecutive_failures, 1);
+});
+
+test('an open circuit fails fast, then a single trial call closes it again', async () => {
+  const freshchat = client({ maxRetries: 0, breakerThreshold: 1, breakerResetMs: 30 });
+
+  server.responses.push({ status: 503 });
+  await assert.rejects(freshchat.get('/conversations/1'));
+  assert.equal(freshchat.circuit().state, 'open');
+
+  await assert.rejects(freshchat.get('/conversations/1'), error => error.code === 'CIRCUIT_OPEN');
+  assert.equal(server.requests.length, 1);
+
+  await sleep(40);
+  assert.equal(freshchat.circuit().state, 'half_open');
+  await freshchat.get('/conversations/1');
+  assert.equal(freshchat.circuit().state, 'closed');
+  assert.equal(server.requests.length, 2);
+});
+
+test('a failed trial call is not retried and reopens the circuit', async () => {
+  const freshchat = client({ maxRetries: 3, breakerThreshold: 1, breakerResetMs: 30 });
+
+  server.responses.push(...Array(4).fill({ status: 503 }));
+  await assert.rejects(freshchat.get('/conversations/1'));
+  assert.equal(server.requests.length, 4);
+
+  await sleep(40);
+  server.requests = [];
+  server.responses.push({ status: 503 });
+  await assert.rejects(freshchat.get('/conversations/1'), error => error.response.status === 503);
+  assert.equal(server.requests.length, 1);
+  assert.equal(freshchat.circuit().state, 'open');
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_INTENT_PHRASES, loadIntentPhrases, createIntentDetector } = require('../lib/intent');
+
+const detector = createIntentDetector();
+const intentOf = message => detector.detect(message)?.intent || null;
+
+test('explicit requests for a person are handoffs', () => {
+  for (const message of [
+    'I need a human please',
+    'I want to talk to a human',
+    'No, I want to talk to a human',
+    'Can I talk to a human?',
+    'Talk to a human. Now.',
+    'I want to talk to a real person',
+    'connect me to an agent asap',
+    'I want to speak to a person, not a bot'
+  ]) {
+    assert.equal(intentOf(message), 'handoff', message);
+  }
+});
+
+test('Urdu and Roman Urdu requests are handoffs', () => {
+  assert.equal(intentOf('kisi insaan se baat karni hai'), 'handoff');
+  assert.equal(intentOf('agent se baat karwao'), 'handoff');
+  assert.equal(intentOf('انسان سے بات کرنی ہے'), 'handoff');
+});
+
+test('small typos still match', () => {
+  const match = detector.detect('talk to a humen');
+  assert.equal(match.intent, 'handoff');
+  assert.equal(match.phrase, 'talk to a human');
+  assert.ok(match.score < 1);
+});
+
+test('a phrase continued by other words is not a request', () => {
+  for (const message of [
+    'I need a human resource course',
+    'I want a human resource management degree',
+    'talk to an agent about fee',
+    'is this a waste of time course?'
+  ]) {
+    assert.equal(intentOf(message), null, message);
+  }
+});
+
+test('ordinary questions do not match', () => {
+  for (const message of [
+    'Are you a real person?',
+    'What are the customer service hours?',
+    'call me tomorrow about admissions',
+    'is this a scam?',
+    'What is the fee for BBA?'
+  ]) {
+    assert.equal(intentOf(message), null, message);
+  }
+});
+
+test('negated requests are ignored', () => {
+  for (const message of [
+    "I don't need a human",
+    "I can't talk to a human right now",
+    'no need to talk to a person',
+    'speak to a human?? no thanks',
+    "I won't talk to an agent",
+    'kisi insaan se baat nahi karni'
+  ]) {
+    assert.equal(intentOf(message), null, message);
+  }
+});
+
+test('strongly negative messages are detected', () => {
+  assert.equal(intentOf('you are useless!'), 'negative');
+  assert.equal(intentOf('this is not helpful at all'), 'negative');
+  assert.equal(intentOf('this is a waste of time'), 'negative');
+  assert.equal(intentOf('bakwas hai'), 'negative');
+});
+
+test('empty messages return null', () => {
+  assert.equal(detector.detect(''), null);
+  assert.equal(detector.detect('?!'), null);
+  assert.equal(detector.detect(null), null);
+});
+
+test('a higher threshold rejects fuzzy matches', () => {
+  assert.equal(createIntentDetector({ threshold: 0.99 }).detect('talk to a humen'), null);
+});
+
+test('loadIntentPhrases replaces the defaults per key', () => {
+  const file = path.join(os.tmpdir(), `intent-phrases-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({ handoff: ['manager please'] }));
+  try {
+    const phrases = loadIntentPhrases(file);
+    assert.deepEqual(phrases.handoff, ['manager please']);
+    assert.deepEqual(phrases.negative, DEFAULT_INTENT_PHRASES.negative);
+  } finally {
+    fs.unlinkSync(file);
+  }
+  assert.equal(loadIntentPhrases(null), DEFAULT_INTENT_PHRASES);
+});
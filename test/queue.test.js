@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createConversationQueue } = require('../lib/queue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('messages within the debounce window become one turn', async () => {
+  const turns = [];
+  const queue = createConversationQueue({
+    debounceMs: 30,
+    handler: async (conversationId, messages) => turns.push([conversationId, messages.map(m => m.text)])
+  });
+
+  queue.enqueue('c1', { text: 'hi' });
+  await sleep(10);
+  queue.enqueue('c1', { text: 'I have' });
+  await sleep(10);
+  queue.enqueue('c1', { text: 'a question' });
+  await sleep(60);
+
+  assert.deepEqual(turns, [['c1', ['hi', 'I have', 'a question']]]);
+  assert.equal(queue.stats().turns_processed, 1);
+  assert.equal(queue.stats().messages_coalesced, 2);
+});
+
+test('maxWaitMs caps how long a burst keeps extending the window', async () => {
+  const turns = [];
+  const queue = createConversationQueue({
+    debounceMs: 30,
+    maxWaitMs: 50,
+    handler: async (conversationId, messages) => turns.push(messages.length)
+  });
+
+  for (let i = 0; i < 6; i++) {
+    queue.enqueue('c1', { text: String(i) });
+    await sleep(20);
+  }
+  await sleep(60);
+
+  assert.ok(turns.length >= 2, `expected the burst to be split, got ${JSON.stringify(turns)}`);
+  assert.equal(turns.reduce((sum, n) => sum + n, 0), 6);
+});
+
+test('conversations are debounced independently', async () => {
+  const turns = [];
+  const queue = createConversationQueue({
+    debounceMs: 20,
+    handler: async conversationId => turns.push(conversationId)
+  });
+
+  queue.enqueue('c1', { text: 'a' });
+  queue.enqueue('c2', { text: 'b' });
+  await sleep(50);
+
+  assert.deepEqual(turns.sort(), ['c1', 'c2']);
+});
+
+test('runExclusive runs one task at a time per conversation', async () => {
+  const queue = createConversationQueue({ handler: async () => {} });
+  const order = [];
+  let running = 0;
+
+  const task = name => async () => {
+    running++;
+    assert.equal(running, 1);
+    order.push(`start ${name}`);
+    await sleep(10);
+    order.push(`end ${name}`);
+    running--;
+    return name;
+  };
+
+  const results = await Promise.all([
+    queue.runExclusive('c1', task('a')),
+    queue.runExclusive('c1', task('b'))
+  ]);
+
+  assert.deepEqual(results, ['a', 'b']);
+  assert.deepEqual(order, ['start a', 'end a', 'start b', 'end b']);
+  assert.equal(queue.stats().active_conversations, 0);
+});
+
+test('a failed task does not block the next one', async () => {
+  const queue = createConversationQueue({ handler: async () => {} });
+
+  await assert.rejects(queue.runExclusive('c1', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await queue.runExclusive('c1', async () => 'next'), 'next');
+});
+
+test('messages arriving while a turn waits for its slot join that turn', async () => {
+  const turns = [];
+  const queue = createConversationQueue({
+    debounceMs: 10,
+    handler: async (conversationId, messages) => turns.push(messages.map(m => m.text))
+  });
+
+  // Hold the conversation so the scheduled turn has to wait
+  const busy = queue.runExclusive('c1', () => sleep(50));
+  queue.enqueue('c1', { text: 'first' });
+  await sleep(25);
+  queue.enqueue('c1', { text: 'late' });
+  await busy;
+  await sleep(10);
+
+  assert.deepEqual(turns, [['first', 'late']]);
+});
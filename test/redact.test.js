@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REDACT_OPTIONS, parseRedactOptions, createRedactor } = require('../lib/redact');
+
+const ALL = parseRedactOptions(REDACT_OPTIONS.join(','));
+
+test('parseRedactOptions enables the listed categories only', () => {
+  assert.deepEqual(parseRedactOptions('phone, EMAIL'), { phone: true, email: true, name: false, content: false });
+  assert.deepEqual(parseRedactOptions('none'), { phone: false, email: false, name: false, content: false });
+  assert.deepEqual(parseRedactOptions(''), { phone: false, email: false, name: false, content: false });
+  assert.throws(() => parseRedactOptions('phone,address'), /Unknown redaction option "address"/);
+});
+
+test('redactString masks emails and phone numbers inside text', () => {
+  const { redactString } = createRedactor(ALL);
+
+  assert.equal(redactString('Mail ali.khan+fees@uni.edu.pk today'), 'Mail [email] today');
+  assert.equal(redactString('Call +92 300 1234567 or 0300-1234567'), 'Call [phone] or [phone]');
+  assert.equal(redactString('Fee is 50000 for 2 years'), 'Fee is 50000 for 2 years');
+});
+
+test('phone numbers inside URLs and timestamps are left alone', () => {
+  const { redactString } = createRedactor(ALL);
+
+  assert.equal(redactString('https://x.com/files/12345678901'), 'https://x.com/files/12345678901');
+  assert.equal(redactString('2026-10-19T10:48:01.076Z'), '2026-10-19T10:48:01.076Z');
+});
+
+test('redactText keeps only the length of message text', () => {
+  assert.equal(createRedactor(ALL).redactText('hello there'), '[11 chars]');
+  assert.equal(createRedactor(parseRedactOptions('phone')).redactText('hello there'), 'hello there');
+  assert.equal(createRedactor(ALL).redactText(''), '');
+});
+
+test('redact masks PII fields in nested objects and arrays', () => {
+  const { redact } = createRedactor(ALL);
+  const input = {
+    user: { first_name: 'Ali', name: 'Ali Khan', phone: '03001234567', email: 'a@b.co' },
+    message_parts: [{ text: { content: 'my fee voucher' } }],
+    notes: 'call after 5',
+    course: 'BSCS'
+  };
+
+  assert.deepEqual(redact(input), {
+    user: { first_name: '[redacted]', name: '[redacted]', phone: '[redacted]', email: '[redacted]' },
+    message_parts: [{ text: { content: '[14 chars]' } }],
+    notes: '[12 chars]',
+    course: 'BSCS'
+  });
+  // The input is not modified
+  assert.equal(input.user.name, 'Ali Khan');
+});
+
+test('ID fields are never masked', () => {
+  const { redact } = createRedactor(ALL);
+
+  assert.deepEqual(
+    redact({ conversation_id: '12345678901234', actorId: '98765432101', id: '5551234567' }),
+    { conversation_id: '12345678901234', actorId: '98765432101', id: '5551234567' }
+  );
+});
+
+test('disabled categories pass through', () => {
+  const { redact } = createRedactor(parseRedactOptions('email'));
+
+  assert.deepEqual(
+    redact({ name: 'Ali', phone: '03001234567', text: 'hi', note: 'a@b.co' }),
+    { name: 'Ali', phone: '03001234567', text: 'hi', note: '[email]' }
+  );
+});
+
+test('non-string values are returned as they are', () => {
+  const { redact } = createRedactor(ALL);
+
+  assert.deepEqual(redact({ count: 3, ok: true, empty: null }), { count: 3, ok: true, empty: null });
+});
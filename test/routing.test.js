@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouter } = require('../lib/routing');
+
+const router = createRouter({
+  table: {
+    default: { group_id: 'general' },
+    rules: [
+      { name: 'finance', teams: ['Finance'], keywords: ['Fee', 'fees', 'refund'], group_id: 'g-finance' },
+      { name: 'exams', keywords: ['exam date', 'c++', 'امتحان'], group_id: 'g-exams' },
+      { name: 'whatsapp', channels: ['CH-1'], agent_id: 'a-wa' }
+    ]
+  },
+  defaults: { group_id: 'env-group', agent_id: 'env-agent' }
+});
+
+test('keywords match whole words in the reason or message', () => {
+  const route = router.resolve({ message: 'What is the fee for ACCA?' });
+  assert.equal(route.rule, 'finance');
+  assert.equal(route.matched_by, 'keyword');
+  assert.equal(route.matched, 'fee');
+  assert.equal(route.group_id, 'g-finance');
+
+  assert.equal(router.resolve({ reason: 'Refund requested' }).rule, 'finance');
+  assert.equal(router.resolve({ message: 'fees?' }).matched, 'fees');
+});
+
+test('keywords do not match inside other words', () => {
+  assert.equal(router.resolve({ message: 'I have some feedback' }).rule, 'default');
+  assert.equal(router.resolve({ message: 'Can I get a coffee' }).rule, 'default');
+  assert.equal(router.resolve({ message: 'refunded already' }).rule, 'default');
+});
+
+test('multi-word, symbol and non-Latin keywords', () => {
+  assert.equal(router.resolve({ message: 'When is the exam\ndate announced?' }).rule, 'exams');
+  assert.equal(router.resolve({ message: 'Do you teach C++ too' }).matched, 'c++');
+  assert.equal(router.resolve({ message: 'میرا امتحان کب ہے' }).rule, 'exams');
+  assert.equal(router.resolve({ message: 'امتحانات' }).rule, 'default');
+});
+
+test('team wins over keywords, channel is checked per rule in order', () => {
+  assert.deepEqual(router.resolve({ team: 'FINANCE' }), {
+    rule: 'finance', matched_by: 'team', matched: 'finance', group_id: 'g-finance', agent_id: null
+  });
+
+  const route = router.resolve({ message: 'hello', channel: 'ch-1' });
+  assert.equal(route.rule, 'whatsapp');
+  assert.equal(route.agent_id, 'a-wa');
+  assert.equal(router.usesChannels, true);
+});
+
+test('unmatched escalations use the file default over env defaults', () => {
+  assert.deepEqual(router.resolve({ message: 'hello' }), {
+    rule: 'default', matched_by: 'default', matched: null, group_id: 'general', agent_id: 'env-agent'
+  });
+  assert.deepEqual(createRouter().resolve(), {
+    rule: 'default', matched_by: 'default', matched: null, group_id: null, agent_id: null
+  });
+});
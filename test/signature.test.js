@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  normalizePublicKey,
+  parsePublicKey,
+  verifyFreshchatSignature,
+  requireFreshchatSignature
+} = require('../lib/signature');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const PEM = publicKey.export({ type: 'spki', format: 'pem' }).trim();
+
+function sign(body, key = privateKey) {
+  return crypto.createSign('RSA-SHA256').update(body).sign(key, 'base64');
+}
+
+// Minimal req/res pair for the middleware
+function call(middleware, { rawBody, signature }) {
+  const req = {
+    rawBody,
+    body: {},
+    ip: '127.0.0.1',
+    get: name => (name === 'X-Freshchat-Signature' ? signature : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('normalizePublicKey accepts a PEM, escaped newlines or the bare key body', () => {
+  const body = PEM.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+
+  assert.equal(normalizePublicKey(PEM), PEM);
+  assert.equal(normalizePublicKey(PEM.replace(/\n/g, '\\n')), PEM);
+  assert.equal(crypto.createPublicKey(normalizePublicKey(body)).export({ type: 'spki', format: 'pem' }).trim(), PEM);
+  assert.equal(normalizePublicKey(''), null);
+});
+
+test('parsePublicKey returns the PEM of a valid RSA key', () => {
+  assert.equal(parsePublicKey(PEM.replace(/\n/g, '\\n')), PEM);
+});
+
+test('parsePublicKey rejects placeholders, garbage and non-RSA keys', () => {
+  const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey.export({ type: 'spki', format: 'pem' });
+
+  assert.throws(() => parsePublicKey('your_freshchat_rsa_public_key_here'), /placeholder/);
+  assert.throws(() => parsePublicKey('MIIBIjANBgkq'), /not a valid public key/);
+  assert.throws(() => parsePublicKey(ec), /expected an RSA key/);
+});
+
+test('verifyFreshchatSignature accepts the signature of the exact raw body', () => {
+  const body = Buffer.from('{"action":"message_create"}');
+  assert.equal(verifyFreshchatSignature(body, sign(body), PEM), true);
+});
+
+test('verifyFreshchatSignature rejects a changed body, another key or missing input', () => {
+  const body = Buffer.from('{"action":"message_create"}');
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+  assert.equal(verifyFreshchatSignature(Buffer.from('{"action":"message_create" }'), sign(body), PEM), false);
+  assert.equal(verifyFreshchatSignature(body, sign(body, other), PEM), false);
+  assert.equal(verifyFreshchatSignature(body, 'not base64 at all', PEM), false);
+  assert.equal(verifyFreshchatSignature(body, null, PEM), false);
+  assert.equal(verifyFreshchatSignature(null, sign(body), PEM), false);
+  assert.equal(verifyFreshchatSignature(body, sign(body), 'not a key'), false);
+});
+
+test('requireFreshchatSignature passes signed requests and rejects the rest with 401', () => {
+  const middleware = requireFreshchatSignature({ publicKey: PEM });
+  const rawBody = Buffer.from('{"action":"message_create"}');
+
+  assert.equal(call(middleware, { rawBody, signature: sign(rawBody) }).nextCalled, true);
+
+  const forged = call(middleware, { rawBody, signature: sign(Buffer.from('other')) });
+  assert.equal(forged.nextCalled, false);
+  assert.equal(forged.res.statusCode, 401);
+
+  const unsigned = call(middleware, { rawBody, signature: undefined });
+  assert.equal(unsigned.nextCalled, false);
+  assert.equal(unsigned.res.statusCode, 401);
+});
+
+test('requireFreshchatSignature lets everything through when disabled', () => {
+  const middleware = requireFreshchatSignature({ enabled: false, publicKey: PEM });
+  assert.equal(call(middleware, { rawBody: Buffer.from('{}'), signature: undefined }).nextCalled, true);
+});